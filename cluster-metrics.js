@@ -0,0 +1,146 @@
+// Cluster quality metrics used to choose K automatically
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// All functions take flat data with `d` values per point, an Int32Array of
+// labels and the centroids as a list of points.
+
+// Points used for the silhouette score, which is quadratic in the sample size
+const SILHOUETTE_SAMPLE_SIZE = 1000;
+
+// Point indices spread over the data by a golden-ratio (Weyl) sequence: fixed
+// for every K so the scores compare fairly, and unlike a plain stride it does
+// not alias with the row length of the image
+function sampleIndices(n, sampleSize = SILHOUETTE_SAMPLE_SIZE) {
+    const count = Math.min(n, sampleSize);
+    const indices = new Int32Array(count);
+    for (let i = 0; i < count; i++) {
+        indices[i] = Math.floor(((i + 0.5) * 0.6180339887498949 % 1) * n);
+    }
+    return indices;
+}
+
+function pointDistance(data, a, b, d) {
+    let sum = 0;
+    for (let j = 0; j < d; j++) {
+        const diff = data[a * d + j] - data[b * d + j];
+        sum += diff * diff;
+    }
+    return Math.sqrt(sum);
+}
+
+// Mean silhouette coefficient over the sampled points, in [-1, 1] (higher is better)
+function silhouetteScore(data, d, labels, k, indices) {
+    const sums = new Float64Array(k);
+    const counts = new Int32Array(k);
+    let total = 0;
+    let scored = 0;
+    
+    for (let s = 0; s < indices.length; s++) {
+        const i = indices[s];
+        sums.fill(0);
+        counts.fill(0);
+        for (let t = 0; t < indices.length; t++) {
+            if (t === s) continue;
+            const j = indices[t];
+            sums[labels[j]] += pointDistance(data, i, j, d);
+            counts[labels[j]]++;
+        }
+        
+        const own = labels[i];
+        // A point alone in its cluster (within the sample) scores 0 by convention
+        if (counts[own] === 0) {
+            scored++;
+            continue;
+        }
+        
+        const a = sums[own] / counts[own];
+        let b = Infinity;
+        for (let c = 0; c < k; c++) {
+            if (c !== own && counts[c] > 0) b = Math.min(b, sums[c] / counts[c]);
+        }
+        if (b === Infinity) continue;
+        
+        const denominator = Math.max(a, b);
+        total += denominator > 0 ? (b - a) / denominator : 0;
+        scored++;
+    }
+
+    return scored > 0 ? total / scored : 0;
+}
+
+// Davies–Bouldin index over all points, >= 0 (lower is better)
+function daviesBouldinIndex(data, d, labels, centroids) {
+    const k = centroids.length;
+    const scatter = new Float64Array(k);
+    const counts = new Int32Array(k);
+    
+    for (let i = 0; i < labels.length; i++) {
+        const centroid = centroids[labels[i]];
+        let sum = 0;
+        for (let j = 0; j < d; j++) {
+            const diff = data[i * d + j] - centroid[j];
+            sum += diff * diff;
+        }
+        scatter[labels[i]] += Math.sqrt(sum);
+        counts[labels[i]]++;
+    }
+
+    let total = 0;
+    let clusters = 0;
+    for (let a = 0; a < k; a++) {
+        if (counts[a] === 0) continue;
+        let worst = 0;
+        for (let b = 0; b < k; b++) {
+            if (b === a || counts[b] === 0) continue;
+            const separation = Math.sqrt(centroids[a].reduce((sum, value, j) => sum + (value - centroids[b][j]) ** 2, 0));
+            if (separation > 0) {
+                worst = Math.max(worst, (scatter[a] / counts[a] + scatter[b] / counts[b]) / separation);
+            }
+        }
+        total += worst;
+        clusters++;
+    }
+
+    return clusters > 0 ? total / clusters : 0;
+}
+
+// Elbow of the inertia curve: the K farthest below the straight line joining
+// the first and last points once both axes are normalized to [0, 1]
+function elbowK(evaluations) {
+    if (evaluations.length < 3) return evaluations[0].k;
+    
+    const first = evaluations[0];
+    const last = evaluations[evaluations.length - 1];
+    const inertiaRange = first.inertia - last.inertia || 1;
+    
+    let best = first;
+    let bestDistance = -Infinity;
+    evaluations.forEach(evaluation => {
+        const x = (evaluation.k - first.k) / (last.k - first.k);
+        const y = (evaluation.inertia - last.inertia) / inertiaRange;
+        const distance = (1 - x) - y;
+        if (distance > bestDistance) {
+            bestDistance = distance;
+            best = evaluation;
+        }
+    });
+    return best.k;
+}
+
+// Pick a K from per-K evaluations ({ k, inertia, silhouette, daviesBouldin }).
+// Each criterion votes; a K chosen by two of them wins, otherwise silhouette decides.
+function recommendK(evaluations) {
+    const bySilhouette = evaluations.reduce((best, e) => e.silhouette > best.silhouette ? e : best).k;
+    const byDaviesBouldin = evaluations.reduce((best, e) => e.daviesBouldin < best.daviesBouldin ? e : best).k;
+    const byElbow = elbowK(evaluations);
+    
+    let recommended = bySilhouette;
+    if (byElbow === byDaviesBouldin) recommended = byElbow;
+    
+    return {
+        recommendedK: recommended,
+        elbowK: byElbow,
+        silhouetteK: bySilhouette,
+        daviesBouldinK: byDaviesBouldin
+    };
+}
@@ -0,0 +1,175 @@
+// Color space conversions for clustering
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// Every space maps an sRGB pixel (0-255 per channel) to three coordinates in
+// which Euclidean distance is meaningful for K-means. Coordinates are scaled
+// so each space spans roughly 0-100 or 0-255 (its `range`), keeping inertia
+// and the convergence tolerance on a comparable footing.
+
+// sRGB transfer function, tabulated for 8-bit input
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSRGB(value) {
+    const c = value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return Math.min(255, Math.max(0, c * 255));
+}
+
+// CIE XYZ reference white (D65)
+const D65 = [0.95047, 1, 1.08883];
+
+function labF(t) {
+    return t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+}
+
+function labFInverse(f) {
+    const cube = f * f * f;
+    return cube > 0.008856 ? cube : (f - 16 / 116) / 7.787;
+}
+
+const ColorSpaces = {
+    srgb: {
+        label: 'sRGB',
+        range: 255,
+        fromRGB(r, g, b, out, offset) {
+            out[offset] = r;
+            out[offset + 1] = g;
+            out[offset + 2] = b;
+        },
+        toRGB([r, g, b]) {
+            return [r, g, b];
+        }
+    },
+    
+    // Linear-light RGB, so centroids average physical intensities (scaled to 0-255)
+    linear: {
+        label: 'Linear RGB',
+        range: 255,
+        fromRGB(r, g, b, out, offset) {
+            out[offset] = SRGB_TO_LINEAR[r] * 255;
+            out[offset + 1] = SRGB_TO_LINEAR[g] * 255;
+            out[offset + 2] = SRGB_TO_LINEAR[b] * 255;
+        },
+        toRGB([r, g, b]) {
+            return [linearToSRGB(r / 255), linearToSRGB(g / 255), linearToSRGB(b / 255)];
+        }
+    },
+    
+    // CIELAB (D65): L 0-100, a and b roughly -128-127
+    lab: {
+        label: 'CIELAB',
+        range: 100,
+        fromRGB(r, g, b, out, offset) {
+            const lr = SRGB_TO_LINEAR[r], lg = SRGB_TO_LINEAR[g], lb = SRGB_TO_LINEAR[b];
+            const fx = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / D65[0]);
+            const fy = labF((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / D65[1]);
+            const fz = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / D65[2]);
+            out[offset] = 116 * fy - 16;
+            out[offset + 1] = 500 * (fx - fy);
+            out[offset + 2] = 200 * (fy - fz);
+        },
+        toRGB([l, a, b]) {
+            const fy = (l + 16) / 116;
+            const x = labFInverse(fy + a / 500) * D65[0];
+            const y = labFInverse(fy) * D65[1];
+            const z = labFInverse(fy - b / 200) * D65[2];
+            return [
+                linearToSRGB(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+                linearToSRGB(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+                linearToSRGB(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+            ];
+        }
+    },
+    
+    // OKLab, scaled by 100: L 0-100, a and b roughly -40-40
+    oklab: {
+        label: 'OKLab',
+        range: 100,
+        fromRGB(r, g, b, out, offset) {
+            const lr = SRGB_TO_LINEAR[r], lg = SRGB_TO_LINEAR[g], lb = SRGB_TO_LINEAR[b];
+            const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+            const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+            const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+            out[offset] = 100 * (0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s);
+            out[offset + 1] = 100 * (1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s);
+            out[offset + 2] = 100 * (0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s);
+        },
+        toRGB([L, a, b]) {
+            L /= 100; a /= 100; b /= 100;
+            const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+            const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+            const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+            return [
+                linearToSRGB(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+                linearToSRGB(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+                linearToSRGB(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+            ];
+        }
+    },
+    
+    // HSV as a cylinder: hue is an angle, so it is stored as (s·cos h, s·sin h)
+    // and red at 359° sits next to red at 1°. Averaging these vectors gives
+    // the circular mean of hue. The two hue axes span ±100 and value (V)
+    // spans 0-100.
+    hsv: {
+        label: 'HSV',
+        range: 100,
+        fromRGB(r, g, b, out, offset) {
+            const max = Math.max(r, g, b);
+            const delta = max - Math.min(r, g, b);
+            const saturation = max === 0 ? 0 : delta / max;
+            
+            let hue = 0;
+            if (delta > 0) {
+                if (max === r) hue = ((g - b) / delta) % 6;
+                else if (max === g) hue = (b - r) / delta + 2;
+                else hue = (r - g) / delta + 4;
+            }
+            const angle = hue * Math.PI / 3;
+            
+            out[offset] = 100 * saturation * Math.cos(angle);
+            out[offset + 1] = 100 * saturation * Math.sin(angle);
+            out[offset + 2] = 100 * max / 255;
+        },
+        toRGB([x, y, v]) {
+            const saturation = Math.min(1, Math.hypot(x, y) / 100);
+            const value = Math.min(1, Math.max(0, v / 100)) * 255;
+            let hue = Math.atan2(y, x) * 3 / Math.PI;
+            if (hue < 0) hue += 6;
+            
+            const chroma = value * saturation;
+            const second = chroma * (1 - Math.abs((hue % 2) - 1));
+            const base = value - chroma;
+            const sector = Math.floor(hue) % 6;
+            const [r, g, b] = [
+                [chroma, second, 0], [second, chroma, 0], [0, chroma, second],
+                [0, second, chroma], [second, 0, chroma], [chroma, 0, second]
+            ][sector];
+            return [r + base, g + base, b + base];
+        }
+    }
+};
+
+// Convert pixels start..end of a flat RGB array into the given color space.
+// sRGB data is returned as-is; every other space yields a new Float32Array.
+function convertPixels(pixels, spaceName, start = 0, end = pixels.length / 3) {
+    if (spaceName === 'srgb') return pixels.subarray(start * 3, end * 3);
+    
+    const space = ColorSpaces[spaceName];
+    const out = new Float32Array((end - start) * 3);
+    for (let i = start, o = 0; i < end; i++, o += 3) {
+        space.fromRGB(pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2], out, o);
+    }
+    return out;
+}
+
+// Convert centroids from a color space back to sRGB, clamped to 0-255
+function centroidsToRGB(centroids, spaceName) {
+    const space = ColorSpaces[spaceName];
+    return centroids.map(centroid =>
+        space.toRGB(centroid).map(value => Math.min(255, Math.max(0, value)))
+    );
+}
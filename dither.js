@@ -0,0 +1,178 @@
+// Dithering against a fitted palette
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// Each mode re-maps every pixel to a palette index, trading banding on smooth
+// gradients for fine noise. Colors are compared in sRGB, the space the
+// palette is displayed in. Transparent pixels (alpha below minAlpha) get the
+// label -1 and take no part; alpha itself is matched but never diffused.
+
+// Error-diffusion kernels: [dx, dy, weight] offsets, weights over divisor
+const DitherKernels = {
+    'floyd-steinberg': {
+        divisor: 16,
+        offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    // Diffuses only 6/8 of the error, which keeps highlights and shadows clean
+    atkinson: {
+        divisor: 8,
+        offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    'jarvis-judice-ninke': {
+        divisor: 48,
+        offsets: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    }
+};
+
+// Ordered (Bayer) threshold matrices, built recursively from the 2×2 one
+function bayerMatrix(size) {
+    if (size === 1) return [[0]];
+    const half = bayerMatrix(size / 2);
+    const matrix = [];
+    for (let y = 0; y < size; y++) {
+        matrix.push([]);
+        for (let x = 0; x < size; x++) {
+            const base = 4 * half[y % (size / 2)][x % (size / 2)];
+            const quadrant = [[0, 2], [3, 1]][Math.floor(y / (size / 2))][Math.floor(x / (size / 2))];
+            matrix[y].push(base + quadrant);
+        }
+    }
+    return matrix;
+}
+
+// Available modes: error diffusion with a kernel, or ordered with a matrix size
+const DitherModes = {
+    none: { label: 'None' },
+    'floyd-steinberg': { label: 'Floyd–Steinberg', kernel: DitherKernels['floyd-steinberg'] },
+    atkinson: { label: 'Atkinson', kernel: DitherKernels.atkinson },
+    'jarvis-judice-ninke': { label: 'Jarvis–Judice–Ninke', kernel: DitherKernels['jarvis-judice-ninke'] },
+    'bayer-4': { label: 'Ordered Bayer 4×4', size: 4 },
+    'bayer-8': { label: 'Ordered Bayer 8×8', size: 8 }
+};
+
+// Palette colors with a fourth (alpha) value are also matched on alpha
+function nearestPaletteIndex(palette, r, g, b, a = 255) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let c = 0; c < palette.length; c++) {
+        const color = palette[c];
+        const dr = r - color[0];
+        const dg = g - color[1];
+        const db = b - color[2];
+        const da = color.length > 3 ? a - color[3] : 0;
+        const distance = dr * dr + dg * dg + db * db + da * da;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = c;
+        }
+    }
+    return best;
+}
+
+// Error diffusion with serpentine scanning: odd rows run right to left and
+// the kernel is mirrored, which avoids the diagonal "worm" artifacts of a
+// fixed scan direction. Only the rows the kernel reaches are kept in memory.
+function errorDiffusion({ pixels, alpha, width, height }, palette, kernel, strength, minAlpha, labels) {
+    const rows = Math.max(...kernel.offsets.map(([, dy]) => dy)) + 1;
+    const errors = Array.from({ length: rows }, () => new Float32Array(width * 3));
+    
+    for (let y = 0; y < height; y++) {
+        const current = errors[y % rows];
+        const reverse = y % 2 === 1;
+        
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const i = y * width + x;
+            if (alpha && alpha[i] < minAlpha) {
+                labels[i] = -1;
+                continue;
+            }
+            const r = pixels[i * 3] + current[x * 3];
+            const g = pixels[i * 3 + 1] + current[x * 3 + 1];
+            const b = pixels[i * 3 + 2] + current[x * 3 + 2];
+            
+            const index = nearestPaletteIndex(palette, r, g, b, alpha ? alpha[i] : 255);
+            labels[i] = index;
+            
+            const color = palette[index];
+            const errorR = (r - color[0]) * strength / kernel.divisor;
+            const errorG = (g - color[1]) * strength / kernel.divisor;
+            const errorB = (b - color[2]) * strength / kernel.divisor;
+            
+            for (const [dx, dy, weight] of kernel.offsets) {
+                const nx = reverse ? x - dx : x + dx;
+                if (nx < 0 || nx >= width || y + dy >= height) continue;
+                const row = errors[(y + dy) % rows];
+                row[nx * 3] += errorR * weight;
+                row[nx * 3 + 1] += errorG * weight;
+                row[nx * 3 + 2] += errorB * weight;
+            }
+        }
+        
+        // This row is done; reuse its buffer for the row `rows` below
+        current.fill(0);
+    }
+}
+
+// Ordered dithering: offset each pixel by a tiled threshold before picking
+// the nearest color. The offset spans the typical gap between palette colors,
+// measured per channel since it is added to all three.
+function orderedDither({ pixels, alpha, width, height }, palette, size, strength, minAlpha, labels) {
+    const matrix = bayerMatrix(size);
+    const levels = size * size;
+    
+    let spacing = 0;
+    palette.forEach((color, a) => {
+        let nearest = Infinity;
+        palette.forEach((other, b) => {
+            if (a !== b) nearest = Math.min(nearest, Math.hypot(color[0] - other[0], color[1] - other[1], color[2] - other[2]));
+        });
+        spacing += nearest === Infinity ? 0 : nearest;
+    });
+    spacing = spacing / palette.length / Math.sqrt(3) * strength;
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (alpha && alpha[i] < minAlpha) {
+                labels[i] = -1;
+                continue;
+            }
+            const offset = ((matrix[y % size][x % size] + 0.5) / levels - 0.5) * spacing;
+            labels[i] = nearestPaletteIndex(palette,
+                pixels[i * 3] + offset,
+                pixels[i * 3 + 1] + offset,
+                pixels[i * 3 + 2] + offset,
+                alpha ? alpha[i] : 255
+            );
+        }
+    }
+}
+
+// Dither an image ({ pixels, alpha, width, height }, alpha may be null)
+// against an sRGB palette (a list of [r, g, b] or [r, g, b, alpha]).
+// strength scales the diffused error or the threshold spread (0-1).
+// Returns an Int32Array with one palette index (or -1) per pixel.
+function ditherPixels(image, palette, mode, strength = 1, minAlpha = 1) {
+    const labels = new Int32Array(image.width * image.height);
+    const ditherMode = DitherModes[mode];
+    
+    if (ditherMode && ditherMode.kernel) {
+        errorDiffusion(image, palette, ditherMode.kernel, strength, minAlpha, labels);
+    } else if (ditherMode && ditherMode.size) {
+        orderedDither(image, palette, ditherMode.size, strength, minAlpha, labels);
+    } else {
+        throw new Error(`Unknown dithering mode: ${mode}`);
+    }
+
+    return labels;
+}
+
+// Worker task wrapper around ditherPixels
+function runDitherJob({ image, palette, mode, strength, minAlpha }, report) {
+    report({ type: 'dithering', pixelCount: image.width * image.height });
+    return { labels: ditherPixels(image, palette, mode, strength, minAlpha) };
+}
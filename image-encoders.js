@@ -0,0 +1,320 @@
+// Indexed image encoders
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// Both formats store one palette index per pixel, so a quantized image is
+// written as exactly its labels and palette. Label -1 (a transparent pixel)
+// gets an extra, fully transparent palette entry. The labels can also be
+// written as grayscale PNGs: a mask per cluster or one label map.
+
+// Palette and per-pixel indices with transparent pixels mapped to an extra
+// entry after the colors. Colors whose alpha is below minAlpha (GIF only has
+// 1-bit transparency) are folded into that entry as well.
+function indexedImage(palette, labels, minAlpha = 1) {
+    const hidden = palette.map(color => color.length > 3 && color[3] < minAlpha);
+    let transparent = false;
+    for (let i = 0; i < labels.length && !transparent; i++) {
+        transparent = labels[i] < 0 || hidden[labels[i]];
+    }
+
+    const transparentIndex = transparent ? palette.length : -1;
+    const indices = new Uint8Array(labels.length);
+    for (let i = 0; i < labels.length; i++) {
+        indices[i] = labels[i] < 0 || hidden[labels[i]] ? transparentIndex : labels[i];
+    }
+
+    const colors = palette.map(color => color.map(value => Math.round(value)));
+    if (transparent) colors.push([0, 0, 0, 0]);
+    return { colors, indices, transparentIndex };
+}
+
+// Smallest bit depth from 1, 2, 4, 8 that can index `count` colors
+function indexBitDepth(count) {
+    return [1, 2, 4, 8].find(bits => count <= 1 << bits);
+}
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// zlib-wrapped deflate. Uses the platform's CompressionStream; without it the
+// data is stored uncompressed, which is still a valid PNG.
+async function zlibDeflate(bytes) {
+    if (typeof CompressionStream !== 'undefined') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    const blockCount = Math.max(1, Math.ceil(bytes.length / 65535));
+    const out = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let offset = 2;
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * 65535;
+        const length = Math.min(65535, bytes.length - start);
+        out[offset] = block === blockCount - 1 ? 1 : 0;
+        view.setUint16(offset + 1, length, true);
+        view.setUint16(offset + 3, ~length & 0xffff, true);
+        out.set(bytes.subarray(start, start + length), offset + 5);
+        offset += 5 + length;
+    }
+    view.setUint32(offset, adler32(bytes));
+    return out;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// PNG image rows with one sample of `bits` bits (1, 2, 4, 8 or 16) per pixel,
+// valueAt(i) giving the sample of pixel i. Each row starts with filter type 0 (none).
+function packPNGRows({ width, height }, bits, valueAt) {
+    const rowBytes = Math.ceil(width * bits / 8);
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (rowBytes + 1) + 1;
+        for (let x = 0; x < width; x++) {
+            const value = valueAt(y * width + x);
+            if (bits === 16) {
+                raw[row + x * 2] = value >> 8;
+                raw[row + x * 2 + 1] = value & 0xff;
+            } else {
+                const bit = x * bits;
+                raw[row + (bit >> 3)] |= value << (8 - bits - (bit & 7));
+            }
+        }
+    }
+    return raw;
+}
+
+// Complete PNG file from packed rows, with the given chunks (e.g. PLTE)
+// between the header and the image data. Resolves with a Uint8Array.
+async function assemblePNG({ width, height }, bits, colorType, raw, chunks = []) {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = bits;
+    header[9] = colorType;
+    
+    const allChunks = [
+        pngChunk('IHDR', header),
+        ...chunks,
+        pngChunk('IDAT', await zlibDeflate(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+    const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+    const file = new Uint8Array(signature.length + allChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    file.set(signature);
+    let offset = signature.length;
+    allChunks.forEach(chunk => {
+        file.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return file;
+}
+
+// Palette-based PNG (color type 3) at the smallest bit depth that fits the
+// palette, with a tRNS chunk when any color is not fully opaque.
+// Resolves with the file as a Uint8Array.
+async function encodePNG8(size, palette, labels) {
+    const { colors, indices } = indexedImage(palette, labels);
+    if (colors.length > 256) throw new Error('PNG-8 holds at most 256 colors');
+    
+    const bits = indexBitDepth(colors.length);
+    const raw = packPNGRows(size, bits, i => indices[i]);
+    
+    const plte = new Uint8Array(colors.length * 3);
+    colors.forEach((color, index) => plte.set(color.slice(0, 3), index * 3));
+    
+    // Alpha per palette entry; trailing opaque entries may be left out
+    const alphas = colors.map(color => (color.length > 3 ? color[3] : 255));
+    let alphaCount = alphas.length;
+    while (alphaCount > 0 && alphas[alphaCount - 1] === 255) alphaCount--;
+    
+    // Color type 3: indexed color
+    return assemblePNG(size, bits, 3, raw, [
+        pngChunk('PLTE', plte),
+        ...(alphaCount > 0 ? [pngChunk('tRNS', Uint8Array.from(alphas.slice(0, alphaCount)))] : [])
+    ]);
+}
+
+// 1-bit grayscale PNG of one cluster: white where labels equal cluster,
+// black elsewhere (transparent pixels included)
+function encodeMaskPNG(size, labels, cluster) {
+    // Color type 0: grayscale
+    return assemblePNG(size, 1, 0, packPNGRows(size, 1, i => (labels[i] === cluster ? 1 : 0)));
+}
+
+// Grayscale PNG holding the label of every pixel: 8-bit for up to 255
+// clusters, 16-bit beyond. Transparent pixels (label -1) get the largest
+// value, 255 or 65535, which is never a cluster.
+function encodeLabelMapPNG(size, labels, clusterCount) {
+    const bits = clusterCount < 255 ? 8 : 16;
+    if (clusterCount >= 65535) throw new Error('A label map holds at most 65534 clusters');
+    
+    const none = (1 << bits) - 1;
+    return assemblePNG(size, bits, 0, packPNGRows(size, bits, i => (labels[i] < 0 ? none : labels[i])));
+}
+
+// Variable-length LZW codes as used by GIF, packed least significant bit first
+// into sub-blocks of up to 255 bytes. Returns the sub-blocks, each with its
+// length byte, and the terminating empty block.
+function gifLZW(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    // Code table as a trie: child code per (prefix code, next index) pair;
+    // the keys in use are remembered so a reset only clears those
+    const table = new Int16Array(4096 << 8);
+    const usedKeys = new Int32Array(4096);
+    let usedCount = 0;
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+    
+    const blocks = [];
+    const block = new Uint8Array(256);
+    let blockLength = 0;
+    const flush = () => {
+        block[0] = blockLength;
+        blocks.push(block.slice(0, blockLength + 1));
+        blockLength = 0;
+    };
+    let buffer = 0;
+    let bufferBits = 0;
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            block[++blockLength] = buffer & 0xff;
+            buffer >>>= 8;
+            bufferBits -= 8;
+            if (blockLength === 255) flush();
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table[key];
+        if (code !== 0) {
+            prefix = code;
+            continue;
+        }
+        
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            for (let u = 0; u < usedCount; u++) table[usedKeys[u]] = 0;
+            usedCount = 0;
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table[key] = nextCode++;
+            usedKeys[usedCount++] = key;
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) {
+        block[++blockLength] = buffer & 0xff;
+        if (blockLength === 255) flush();
+    }
+    if (blockLength > 0) flush();
+    blocks.push(new Uint8Array(1)); // Block terminator
+    return blocks;
+}
+
+// GIF89a with a global color table. GIF transparency is 1-bit, so colors
+// below half opacity become transparent and the rest are drawn opaque.
+// Returns the file as a Uint8Array.
+function encodeGIF({ width, height }, palette, labels) {
+    const { colors, indices, transparentIndex } = indexedImage(palette, labels, 128);
+    if (colors.length > 256) throw new Error('GIF holds at most 256 colors');
+    
+    const bits = indexBitDepth(Math.max(2, colors.length));
+    const bytes = [];
+    const word = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    
+    'GIF89a'.split('').forEach(char => bytes.push(char.charCodeAt(0)));
+    word(width);
+    word(height);
+    bytes.push(0x80 | ((bits - 1) << 4) | (bits - 1), 0, 0); // Global color table of 2^bits entries
+    for (let c = 0; c < 1 << bits; c++) {
+        const color = colors[c] || [0, 0, 0];
+        bytes.push(color[0], color[1], color[2]);
+    }
+
+    if (transparentIndex !== -1) {
+        // Graphic control extension naming the transparent index
+        bytes.push(0x21, 0xf9, 4, 0x01, 0, 0, transparentIndex, 0);
+    }
+
+    bytes.push(0x2c);
+    word(0);
+    word(0);
+    word(width);
+    word(height);
+    bytes.push(0);
+    
+    const minCodeSize = Math.max(2, bits);
+    bytes.push(minCodeSize);
+    const blocks = gifLZW(indices, minCodeSize);
+    const file = new Uint8Array(bytes.length + blocks.reduce((sum, block) => sum + block.length, 0) + 1);
+    file.set(bytes);
+    let offset = bytes.length;
+    blocks.forEach(block => {
+        file.set(block, offset);
+        offset += block.length;
+    });
+    file[offset] = 0x3b; // Trailer
+    return file;
+}
+
+// Worker task: encode the labelled image as PNG-8 and GIF
+async function runEncodeJob({ width, height, palette, labels }, report) {
+    report({ type: 'encoding', pixelCount: width * height });
+    return {
+        png: await encodePNG8({ width, height }, palette, labels),
+        gif: encodeGIF({ width, height }, palette, labels)
+    };
+}
+
+// Worker task: export the labels as a mask PNG of one cluster, or as a label
+// map of all of them when cluster is null
+async function runMaskJob({ width, height, labels, cluster = null, clusterCount }, report) {
+    report({ type: 'encoding', pixelCount: width * height });
+    const png = cluster === null
+        ? await encodeLabelMapPNG({ width, height }, labels, clusterCount)
+        : await encodeMaskPNG({ width, height }, labels, cluster);
+    return { png };
+}
@@ -0,0 +1,48 @@
+// EXIF orientation
+// Used by the main page to draw photos from turned cameras upright: phones
+// store the sensor's pixels as they are and record the turn in a JPEG's EXIF
+// orientation tag.
+
+// How to draw a stored width × height image upright for each orientation
+// other than 1 (as stored): whether its sides swap, and the canvas transform
+const EXIF_ORIENTATIONS = {
+    2: { swap: false, transform: (width, height) => [-1, 0, 0, 1, width, 0] }, // Mirrored
+    3: { swap: false, transform: (width, height) => [-1, 0, 0, -1, width, height] }, // Turned 180°
+    4: { swap: false, transform: (width, height) => [1, 0, 0, -1, 0, height] }, // Upside down
+    5: { swap: true, transform: () => [0, 1, 1, 0, 0, 0] }, // Transposed
+    6: { swap: true, transform: (width, height) => [0, 1, -1, 0, height, 0] }, // Turned 90° clockwise
+    7: { swap: true, transform: (width, height) => [0, -1, -1, 0, height, width] }, // Transversed
+    8: { swap: true, transform: (width, height) => [0, -1, 1, 0, 0, width] } // Turned 90° counterclockwise
+};
+
+// The orientation tag of a JPEG file's EXIF data as { value, offset,
+// littleEndian }, offset being where its 16-bit value is so it can be
+// rewritten, or null if the file is not a JPEG or has no such tag
+function exifOrientation(bytes) {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // Segments are a marker and a length that counts itself, up to the start
+    // of the scan (0xffda) where the compressed pixels begin
+    let offset = 2;
+    while (offset + 10 <= bytes.length && bytes[offset] === 0xff && bytes[offset + 1] !== 0xda) {
+        // APP1 starting "Exif\0\0", then a TIFF header and the first IFD
+        if (bytes[offset + 1] === 0xe1 && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            if (tiff + 8 > bytes.length) return null;
+            const littleEndian = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+            if (ifd + 2 > bytes.length) return null;
+            const count = view.getUint16(ifd, littleEndian);
+            for (let i = 0; i < count && ifd + 14 + i * 12 <= bytes.length; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (view.getUint16(entry, littleEndian) === 0x0112) {
+                    return { value: view.getUint16(entry + 8, littleEndian), offset: entry + 8, littleEndian };
+                }
+            }
+            return null;
+        }
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+}
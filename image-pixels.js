@@ -0,0 +1,85 @@
+// Pixel buffers
+// Shared by the main page and the Node library (quantize-node.js)
+//
+// An image is { pixels, alpha, width, height }: RGB in one flat
+// Uint8ClampedArray [r, g, b, r, g, b, ...] and one alpha value per pixel.
+
+// Shrink (never enlarge) an image size so neither side exceeds maxSize
+function scaledDimensions({ width, height }, maxSize) {
+    if (width > maxSize || height > maxSize) {
+        const ratio = Math.min(maxSize / width, maxSize / height);
+        width = Math.max(1, Math.floor(width * ratio));
+        height = Math.max(1, Math.floor(height * ratio));
+    }
+    return { width, height };
+}
+
+// Split interleaved RGBA (canvas ImageData, a decoded file) into an image
+function splitRGBA(rgba, width, height) {
+    const pixels = new Uint8ClampedArray(width * height * 3);
+    const alpha = new Uint8ClampedArray(width * height);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+        pixels[j] = rgba[i];
+        pixels[j + 1] = rgba[i + 1];
+        pixels[j + 2] = rgba[i + 2];
+        alpha[i / 4] = rgba[i + 3];
+    }
+    return { pixels, alpha, width, height };
+}
+
+// Shrink an image to at most maxSize on its longest side by averaging the
+// block of source pixels behind each target pixel. Colors are weighted by
+// alpha, as a canvas does, so transparent pixels do not darken the edges.
+// Returns the image itself when it already fits.
+function resizeImage(image, maxSize) {
+    const { width, height } = scaledDimensions(image, maxSize);
+    if (width === image.width && height === image.height) return image;
+    
+    const pixels = new Uint8ClampedArray(width * height * 3);
+    const alpha = new Uint8ClampedArray(width * height);
+    for (let y = 0; y < height; y++) {
+        const top = Math.floor(y * image.height / height);
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * image.height / height));
+        for (let x = 0; x < width; x++) {
+            const left = Math.floor(x * image.width / width);
+            const right = Math.max(left + 1, Math.floor((x + 1) * image.width / width));
+            let r = 0, g = 0, b = 0, weight = 0, count = 0;
+            for (let sy = top; sy < bottom; sy++) {
+                for (let sx = left; sx < right; sx++) {
+                    const s = sy * image.width + sx;
+                    const a = image.alpha ? image.alpha[s] : 255;
+                    r += image.pixels[s * 3] * a;
+                    g += image.pixels[s * 3 + 1] * a;
+                    b += image.pixels[s * 3 + 2] * a;
+                    weight += a;
+                    count++;
+                }
+            }
+            
+            const i = y * width + x;
+            if (weight > 0) {
+                pixels[i * 3] = r / weight;
+                pixels[i * 3 + 1] = g / weight;
+                pixels[i * 3 + 2] = b / weight;
+            }
+            alpha[i] = weight / count;
+        }
+    }
+
+    return { pixels, alpha: image.alpha ? alpha : null, width, height };
+}
+
+// The pixels of several images laid end to end as one single-row image, for
+// fitting one palette across all of them
+function poolImages(images) {
+    const total = images.reduce((sum, image) => sum + image.width * image.height, 0);
+    const pixels = new Uint8ClampedArray(total * 3);
+    const alpha = images.some(image => image.alpha) ? new Uint8ClampedArray(total).fill(255) : null;
+    let offset = 0;
+    images.forEach(image => {
+        pixels.set(image.pixels, offset * 3);
+        if (image.alpha) alpha.set(image.alpha, offset);
+        offset += image.width * image.height;
+    });
+    return { pixels, alpha, width: total, height: 1 };
+}
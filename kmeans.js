@@ -0,0 +1,379 @@
+// K-Means clustering
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// Data is a flat typed array (Uint8ClampedArray or Float32Array) holding
+// `dimensions` values per point, e.g. [r0, g0, b0, r1, g1, b1, ...].
+// Requires quantizers.js for the Quantizer base class.
+
+// Mulberry32: a small, fast PRNG. Returns a function giving numbers in
+// [0, 1) that repeat exactly for the same 32-bit seed.
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class KMeans extends Quantizer {
+    constructor(k, maxIterations = 100, tolerance = 1e-4) {
+        super(k);
+        this.maxIterations = maxIterations;
+        this.tolerance = tolerance;
+        this.distances = null;  // Float32Array, squared distance of every point to its centroid
+        this.fixedCentroids = []; // Points that never move; they take the first centroid slots
+        this.seed = null;  // PRNG seed for k-means++; null draws from Math.random
+        this.nInit = 1;    // Runs from different seeds; the lowest inertia wins
+        this.seedSampleSize = null; // Points k-means++ seeds on; null seeds on every point
+        this.random = Math.random;
+    }
+
+    // Draw the k-means++ seeds from a PRNG started at seed, so a fit can be
+    // replayed exactly, and keep the best of nInit runs
+    useSeed(seed, nInit = 1) {
+        this.seed = seed;
+        this.nInit = nInit;
+    }
+
+    // Seed k-means++ on a random sample of size points instead of every
+    // point; Lloyd's iterations still run on all of them
+    useSeedSample(size) {
+        this.seedSampleSize = size;
+    }
+
+    // count random points (drawn with replacement), in an array of the data's type
+    samplePoints(data, count) {
+        const d = this.dimensions;
+        const n = data.length / d;
+        const sample = new data.constructor(count * d);
+        for (let s = 0; s < count; s++) {
+            const i = Math.floor(this.random() * n);
+            sample.set(data.subarray(i * d, i * d + d), s * d);
+        }
+        return sample;
+    }
+
+    // The points k-means++ draws its seeds from
+    seedPoints(data) {
+        const size = this.seedSampleSize;
+        return size && size < data.length / this.dimensions ? this.samplePoints(data, size) : data;
+    }
+
+    // Pin the given points (in the data's space) as centroids that fit never
+    // moves; the other K - n centroids adapt around them
+    lockCentroids(points) {
+        this.fixedCentroids = points;
+        this.k = Math.max(this.k, points.length);
+    }
+
+    // Initialize centroids using k-means++ method for better initial placement.
+    // Seeding stops once every point sits on a centroid, so data with fewer
+    // distinct colors than K gets fewer centroids; a sample that runs out
+    // that way is retried on all the points, which may hold colors it missed.
+    initializeCentroids(points) {
+        const sample = this.seedPoints(points);
+        if (this.seedFrom(sample) < this.k && sample !== points) this.seedFrom(points);
+    }
+
+    // k-means++ over the given points into this.centroids. Fixed centroids are
+    // placed first and count as already chosen seeds. Returns the number of
+    // centroids.
+    seedFrom(data) {
+        const d = this.dimensions;
+        const n = data.length / d;
+        const fixedCount = this.fixedCentroids.length;
+        this.centroids = new Float64Array(this.k * d);
+        this.fixedCentroids.forEach((point, c) => this.centroids.set(point, c * d));
+        if (fixedCount === this.k) return this.k;
+        
+        // Squared distance from every point to its nearest chosen centroid,
+        // updated incrementally as each new centroid is added
+        const minDistances = new Float64Array(n).fill(Infinity);
+        
+        // Choose first centroid randomly
+        let chosen = Math.floor(this.random() * n);
+        for (let c = 0; c < fixedCount && chosen >= 0; c++) {
+            chosen = this.sampleNextSeed(data, minDistances, c);
+        }
+        
+        let count = fixedCount;
+        while (count < this.k && chosen >= 0) {
+            this.centroids.set(data.subarray(chosen * d, chosen * d + d), count * d);
+            count++;
+            if (count < this.k) chosen = this.sampleNextSeed(data, minDistances, count - 1);
+        }
+        this.centroids = this.centroids.slice(0, count * d);
+        return count;
+    }
+
+    // Fold centroid c into minDistances, then pick the next seed with
+    // probability proportional to squared distance, or return -1 if every
+    // point already sits on a centroid
+    sampleNextSeed(data, minDistances, c) {
+        const d = this.dimensions;
+        const n = minDistances.length;
+        
+        let totalDist = 0;
+        for (let i = 0; i < n; i++) {
+            const dist = this.squaredDistance(data, i * d, this.centroids, c * d);
+            if (dist < minDistances[i]) minDistances[i] = dist;
+            totalDist += minDistances[i];
+        }
+        
+        // Fewer distinct colors than K
+        if (totalDist === 0) return -1;
+        
+        let random = this.random() * totalDist;
+        for (let i = 0; i < n; i++) {
+            random -= minDistances[i];
+            if (random <= 0) return i;
+        }
+        return n - 1;
+    }
+
+    // Assign each point to the nearest centroid and track the resulting inertia
+    assignPointsToClusters(data) {
+        this.inertia = this.assignNearest(data, this.labels, this.distances);
+    }
+
+    // Update centroids based on assigned points
+    updateCentroids(data) {
+        const d = this.dimensions;
+        const n = data.length / d;
+        const sums = new Float64Array(this.k * d);
+        const labels = this.labels;
+        const counts = this.counts;
+        counts.fill(0);
+        
+        for (let i = 0; i < n; i++) {
+            const cluster = labels[i];
+            const offset = i * d;
+            const cOffset = cluster * d;
+            for (let j = 0; j < d; j++) {
+                sums[cOffset + j] += data[offset + j];
+            }
+            counts[cluster]++;
+        }
+        
+        for (let c = 0; c < this.k; c++) {
+            const count = this.counts[c];
+            const fixed = c < this.fixedCentroids.length;
+            for (let j = 0; j < d; j++) {
+                // Keep fixed centroids, and the old centroid if no points assigned
+                sums[c * d + j] = fixed || count === 0 ? this.centroids[c * d + j] : sums[c * d + j] / count;
+            }
+        }
+        
+        return sums;
+    }
+
+    // Largest distance any centroid moved between two iterations
+    centroidMovement(oldCentroids, newCentroids) {
+        let max = 0;
+        for (let c = 0; c < this.k; c++) {
+            max = Math.max(max, this.squaredDistance(oldCentroids, c * this.dimensions, newCentroids, c * this.dimensions));
+        }
+        return Math.sqrt(max);
+    }
+
+    // Main clustering algorithm: nInit runs of fitOnce, keeping the one with
+    // the lowest inertia. onIteration, if given, is called after
+    // every iteration with { iteration, maxIterations, inertia, movement, run, runs }.
+    // Besides the shared result shape, returns bestRun (1-based) and history:
+    // the seeds of the best run, then its centroids after every iteration with
+    // that iteration's cluster sizes and inertia, as [{ centroids, counts,
+    // inertia }] (counts and inertia are null for the seeds). iterations
+    // counts every run.
+    fit(data, dimensions = 3, onIteration = null) {
+        this.dimensions = dimensions;
+        // Later runs continue the same sequence, so each starts from other seeds
+        this.random = this.seed === null ? Math.random : mulberry32(this.seed);
+        
+        let best = null;
+        let iterations = 0;
+        for (let run = 1; run <= this.nInit; run++) {
+            const report = onIteration && ((progress) => onIteration({ ...progress, run, runs: this.nInit }));
+            const state = this.fitOnce(data, report);
+            iterations += state.iterations;
+            if (!best || state.inertia < best.inertia) best = { ...state, run };
+        }
+        
+        this.centroids = best.centroids;
+        this.labels = best.labels;
+        this.counts = best.counts;
+        this.distances = best.distances;
+        this.inertia = best.inertia;
+        this.k = best.centroids.length / dimensions;
+        return {
+            centroids: this.getCentroidList(),
+            labels: this.labels,
+            counts: this.counts,
+            inertia: this.inertia,
+            iterations,
+            bestRun: best.run,
+            history: best.history
+        };
+    }
+
+    // One run of Lloyd's iterations from fresh seeds to convergence. Returns
+    // the run's centroids, labels, counts, distances, inertia, iteration count
+    // and history.
+    fitOnce(data, onIteration) {
+        const dimensions = this.dimensions;
+        const n = data.length / dimensions;
+        this.labels = new Int32Array(n);
+        this.distances = new Float32Array(n);
+        
+        this.initializeCentroids(data);
+        this.k = this.centroids.length / dimensions; // Seeding may find fewer than K colors
+        this.counts = new Int32Array(this.k);
+        const history = [{ centroids: this.getCentroidList(), counts: null, inertia: null }];
+        
+        let iterations = 0;
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            iterations = iteration + 1;
+            const oldCentroids = this.centroids;
+            
+            this.assignPointsToClusters(data);
+            const newCentroids = this.updateCentroids(data);
+            const movement = this.centroidMovement(oldCentroids, newCentroids);
+            history.push({ centroids: this.getCentroidList(newCentroids), counts: Array.from(this.counts), inertia: this.inertia });
+            
+            if (onIteration) {
+                onIteration({
+                    iteration: iterations,
+                    maxIterations: this.maxIterations,
+                    inertia: this.inertia,
+                    movement
+                });
+            }
+            
+            // Check if centroids have converged
+            if (movement < this.tolerance) break;
+            
+            this.centroids = newCentroids;
+        }
+        
+        return {
+            centroids: this.centroids,
+            labels: this.labels,
+            counts: this.counts,
+            distances: this.distances,
+            inertia: this.inertia,
+            iterations,
+            history
+        };
+    }
+}
+
+// K-means seeded with the median cut palette instead of k-means++: a
+// deterministic, well-spread start that usually converges in few iterations
+class MedianCutKMeans extends KMeans {
+    initializeCentroids(data) {
+        const free = this.k - this.fixedCentroids.length;
+        const seeds = free > 0 ? new MedianCutQuantizer(free).fit(data, this.dimensions).centroids : [];
+        this.centroids = Float64Array.from([...this.fixedCentroids, ...seeds].flat());
+    }
+}
+
+// Mini-batch fits stop after this many batches without a new best smoothed
+// batch inertia
+const MINI_BATCH_PATIENCE = 10;
+
+// Mini-batch K-means (Sculley, 2010) for large inputs. Each step assigns a
+// random batch of points and moves each centroid toward its points with a
+// learning rate of 1 / (points it has absorbed), so a step costs the batch
+// rather than the data set. k-means++ seeds on a random sample, and one full
+// assignment pass labels every point at the end. Records no history.
+class MiniBatchKMeans extends KMeans {
+    constructor(k, batchSize = 1024, maxIterations = 300) {
+        super(k, maxIterations);
+        this.batchSize = batchSize;
+    }
+
+    useBatchSize(batchSize) {
+        this.batchSize = batchSize;
+    }
+
+    // k-means++ always runs on a sample: three batches or 100 points per
+    // cluster, unless a seed sample size is given
+    seedPoints(data) {
+        const n = data.length / this.dimensions;
+        const size = this.seedSampleSize || Math.max(3 * this.batchSize, 100 * this.k);
+        return size < n ? this.samplePoints(data, size) : data;
+    }
+
+    fitOnce(data, onIteration) {
+        const d = this.dimensions;
+        const n = data.length / d;
+        this.initializeCentroids(data);
+        this.k = this.centroids.length / d; // Seeding may find fewer than K colors
+        
+        const fixedCount = this.fixedCentroids.length;
+        const batchSize = Math.min(this.batchSize, n);
+        const batchLabels = new Int32Array(batchSize);
+        const seen = new Float64Array(this.k); // Points each centroid has absorbed
+        // Batch inertia is noisy, so convergence is judged on its moving average
+        const smoothing = Math.min(1, 2 * batchSize / (n + 1));
+        let smoothed = null;
+        let bestSmoothed = Infinity;
+        let stale = 0;
+        
+        let iterations = 0;
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            iterations = iteration + 1;
+            const batch = this.samplePoints(data, batchSize);
+            const batchInertia = this.assignNearest(batch, batchLabels);
+            const oldCentroids = Float64Array.from(this.centroids);
+            for (let b = 0; b < batchSize; b++) {
+                const c = batchLabels[b];
+                if (c < fixedCount) continue;
+                seen[c]++;
+                const rate = 1 / seen[c];
+                for (let j = 0; j < d; j++) {
+                    this.centroids[c * d + j] += rate * (batch[b * d + j] - this.centroids[c * d + j]);
+                }
+            }
+            const movement = this.centroidMovement(oldCentroids, this.centroids);
+            
+            const perPoint = batchInertia / batchSize;
+            smoothed = smoothed === null ? perPoint : smoothed + smoothing * (perPoint - smoothed);
+            if (onIteration) {
+                onIteration({
+                    iteration: iterations,
+                    maxIterations: this.maxIterations,
+                    inertia: smoothed * n, // Estimated for the whole data set
+                    movement
+                });
+            }
+            
+            if (movement < this.tolerance) break;
+            if (smoothed < bestSmoothed) {
+                bestSmoothed = smoothed;
+                stale = 0;
+            } else if (++stale >= MINI_BATCH_PATIENCE) {
+                break;
+            }
+        }
+        
+        // One full pass labels every point with the final centroids
+        this.labels = new Int32Array(n);
+        this.distances = new Float32Array(n);
+        this.assignPointsToClusters(data);
+        this.counts = new Int32Array(this.k);
+        for (let i = 0; i < n; i++) this.counts[this.labels[i]]++;
+        
+        return {
+            centroids: this.centroids,
+            labels: this.labels,
+            counts: this.counts,
+            distances: this.distances,
+            inertia: this.inertia,
+            iterations,
+            history: null
+        };
+    }
+}
@@ -0,0 +1,170 @@
+// Palette file formats
+// Turns a fitted palette into files for design tools, and reads given colors
+// back in for a fixed or locked palette
+//
+// Every encoder takes the palette entries built by paletteEntries and a
+// palette name, and returns a string or a Uint8Array.
+
+function toHex(value) {
+    return Math.round(value).toString(16).padStart(2, '0');
+}
+
+// #rrggbb, or #rrggbbaa for a color that is not fully opaque
+function rgbToHex([r, g, b, a = 255]) {
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}${Math.round(a) < 255 ? toHex(a) : ''}`;
+}
+
+// Colors of a GIMP palette (.gpl), or of a list of hex codes (#rgb or #rrggbb)
+// separated by spaces, commas or new lines. Returns [[r, g, b], ...] and
+// throws on anything it cannot read.
+function parsePaletteColors(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[0].trim() === 'GIMP Palette') {
+        const colors = [];
+        lines.slice(1).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#') || /^(Name|Columns):/.test(trimmed)) return;
+            const values = trimmed.split(/\s+/).slice(0, 3).map(Number);
+            if (values.length < 3 || values.some(value => !Number.isInteger(value) || value < 0 || value > 255)) {
+                throw new Error(`Line ${index + 2} of the GIMP palette is not an "r g b name" color`);
+            }
+            colors.push(values);
+        });
+        return colors;
+    }
+
+    return text.split(/[\s,;]+/).filter(token => token !== '').map(token => {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(token);
+        if (!match) throw new Error(`"${token}" is not a hex color`);
+        const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    });
+}
+
+// Describe each palette color with its share of the labelled pixels (label -1,
+// a transparent pixel, counts for none)
+function paletteEntries(palette, labels) {
+    const counts = new Array(palette.length).fill(0);
+    let total = 0;
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] < 0) continue;
+        counts[labels[i]]++;
+        total++;
+    }
+
+    return palette.map((color, index) => {
+        const [r, g, b, alpha = 255] = color.map(value => Math.round(value));
+        return {
+            index,
+            name: `Cluster ${index + 1}`,
+            hex: rgbToHex(color),
+            rgb: [r, g, b],
+            alpha,
+            pixels: counts[index],
+            share: total > 0 ? counts[index] / total : 0
+        };
+    });
+}
+
+// Adobe Swatch Exchange: a big-endian header and one block per color with
+// its UTF-16 name and RGB as 0-1 floats
+function encodeASE(entries) {
+    const blockSize = (entry) => 2 + (entry.name.length + 1) * 2 + 4 + 12 + 2;
+    const size = 12 + entries.reduce((sum, entry) => sum + 6 + blockSize(entry), 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    
+    let offset = 0;
+    'ASEF'.split('').forEach(char => { bytes[offset++] = char.charCodeAt(0); });
+    view.setUint16(offset, 1); // Version 1.0
+    view.setUint16(offset + 2, 0);
+    view.setUint32(offset + 4, entries.length);
+    offset += 8;
+    
+    entries.forEach(entry => {
+        view.setUint16(offset, 0x0001); // Color entry
+        view.setUint32(offset + 2, blockSize(entry));
+        view.setUint16(offset + 6, entry.name.length + 1);
+        offset += 8;
+        for (let c = 0; c < entry.name.length; c++, offset += 2) {
+            view.setUint16(offset, entry.name.charCodeAt(c));
+        }
+        offset += 2; // Null terminator
+        'RGB '.split('').forEach(char => { bytes[offset++] = char.charCodeAt(0); });
+        entry.rgb.forEach(value => {
+            view.setFloat32(offset, value / 255);
+            offset += 4;
+        });
+        view.setUint16(offset, 2); // Normal (not global or spot) color
+        offset += 2;
+    });
+    
+    return bytes;
+}
+
+// Photoshop Color Table: 256 RGB triplets, then the number of colors and the
+// transparent index (none)
+function encodeACT(entries) {
+    const bytes = new Uint8Array(772);
+    entries.slice(0, 256).forEach((entry, index) => bytes.set(entry.rgb, index * 3));
+    const view = new DataView(bytes.buffer);
+    view.setUint16(768, Math.min(256, entries.length));
+    view.setUint16(770, 0xffff);
+    return bytes;
+}
+
+const PaletteFormats = {
+    gpl: {
+        label: 'GIMP palette (.gpl)',
+        extension: 'gpl',
+        mimeType: 'text/plain',
+        encode: (entries, name) => [
+            'GIMP Palette',
+            `Name: ${name}`,
+            'Columns: 0',
+            '#',
+            ...entries.map(({ rgb, name: colorName, hex }) =>
+                `${rgb.map(value => String(value).padStart(3)).join(' ')}\t${colorName} (${hex})`)
+        ].join('\n') + '\n'
+    },
+    ase: {
+        label: 'Adobe Swatch Exchange (.ase)',
+        extension: 'ase',
+        mimeType: 'application/octet-stream',
+        encode: encodeASE
+    },
+    act: {
+        label: 'Photoshop color table (.act)',
+        extension: 'act',
+        mimeType: 'application/octet-stream',
+        encode: encodeACT
+    },
+    css: {
+        label: 'CSS custom properties (.css)',
+        extension: 'css',
+        mimeType: 'text/css',
+        encode: (entries, name) => [
+            `/* ${name} */`,
+            ':root {',
+            ...entries.map(({ index, hex, share }) =>
+                `    --cluster-${index + 1}: ${hex}; /* ${(share * 100).toFixed(1)}% */`),
+            '}'
+        ].join('\n') + '\n'
+    },
+    json: {
+        label: 'JSON (.json)',
+        extension: 'json',
+        mimeType: 'application/json',
+        encode: (entries, name) => JSON.stringify({
+            name,
+            colors: entries.map(({ index, hex, rgb, alpha, pixels, share }) => ({
+                cluster: index + 1,
+                hex,
+                rgb,
+                alpha,
+                pixels,
+                share: Number(share.toFixed(6))
+            }))
+        }, null, 2) + '\n'
+    }
+};
@@ -0,0 +1,191 @@
+// Image quality metrics between the original and the quantized output
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// The quantized image is given as per-pixel palette labels; transparent
+// pixels (label -1) are left out of every metric.
+
+// SSIM window size and step; windows overlap by half
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+
+// Error map values are ΔE in tenths, so the map saturates at ΔE 25.5
+const ERROR_MAP_SCALE = 10;
+
+// Entries in the ΔE cache. Photos repeat the same (color, cluster) pairs a
+// lot, and CIEDE2000 costs far more than a lookup.
+const DELTA_E_CACHE_BITS = 20;
+
+// CIEDE2000 color difference between two CIELAB colors
+function ciede2000(l1, a1, b1, l2, a2, b2) {
+    const c1 = Math.hypot(a1, b1);
+    const c2 = Math.hypot(a2, b2);
+    const meanC7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + 6103515625))); // 25^7
+    
+    const ap1 = a1 * (1 + g);
+    const ap2 = a2 * (1 + g);
+    const cp1 = Math.hypot(ap1, b1);
+    const cp2 = Math.hypot(ap2, b2);
+    let hp1 = Math.atan2(b1, ap1);
+    let hp2 = Math.atan2(b2, ap2);
+    if (hp1 < 0) hp1 += 2 * Math.PI;
+    if (hp2 < 0) hp2 += 2 * Math.PI;
+    
+    const deltaL = l2 - l1;
+    const deltaC = cp2 - cp1;
+    let deltaH = 0;
+    if (cp1 * cp2 !== 0) {
+        let dh = hp2 - hp1;
+        if (dh > Math.PI) dh -= 2 * Math.PI;
+        else if (dh < -Math.PI) dh += 2 * Math.PI;
+        deltaH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh / 2);
+    }
+
+    const meanL = (l1 + l2) / 2;
+    const meanCp = (cp1 + cp2) / 2;
+    let meanH = hp1 + hp2;
+    if (cp1 * cp2 !== 0) {
+        if (Math.abs(hp1 - hp2) > Math.PI) meanH += meanH < 2 * Math.PI ? 2 * Math.PI : -2 * Math.PI;
+        meanH /= 2;
+    }
+
+    const t = 1 - 0.17 * Math.cos(meanH - Math.PI / 6) + 0.24 * Math.cos(2 * meanH)
+        + 0.32 * Math.cos(3 * meanH + Math.PI / 30) - 0.20 * Math.cos(4 * meanH - 63 * Math.PI / 180);
+    const rotation = (30 * Math.PI / 180) * Math.exp(-Math.pow((meanH * 180 / Math.PI - 275) / 25, 2));
+    const meanCp7 = Math.pow(meanCp, 7);
+    const rc = 2 * Math.sqrt(meanCp7 / (meanCp7 + 6103515625));
+    const lOffset = (meanL - 50) * (meanL - 50);
+    const sl = 1 + 0.015 * lOffset / Math.sqrt(20 + lOffset);
+    const sc = 1 + 0.045 * meanCp;
+    const sh = 1 + 0.015 * meanCp * t;
+    
+    const termL = deltaL / sl;
+    const termC = deltaC / sc;
+    const termH = deltaH / sh;
+    return Math.sqrt(termL * termL + termC * termC + termH * termH - Math.sin(2 * rotation) * rc * termC * termH);
+}
+
+// Mean SSIM of the luma channel over overlapping windows that hold no
+// transparent pixel; null if there are none
+function lumaSSIM(pixels, width, height, colors, labels) {
+    const c1 = (0.01 * 255) ** 2;
+    const c2 = (0.03 * 255) ** 2;
+    const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+    const paletteLuma = colors.map(([r, g, b]) => luma(r, g, b));
+    const size = SSIM_WINDOW * SSIM_WINDOW;
+    let total = 0;
+    let windows = 0;
+    
+    for (let top = 0; top + SSIM_WINDOW <= height; top += SSIM_STEP) {
+        for (let left = 0; left + SSIM_WINDOW <= width; left += SSIM_STEP) {
+            let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+            let complete = true;
+            for (let y = top; y < top + SSIM_WINDOW && complete; y++) {
+                for (let x = left; x < left + SSIM_WINDOW; x++) {
+                    const i = y * width + x;
+                    if (labels[i] < 0) {
+                        complete = false;
+                        break;
+                    }
+                    const original = luma(pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2]);
+                    const quantized = paletteLuma[labels[i]];
+                    sumX += original;
+                    sumY += quantized;
+                    sumXX += original * original;
+                    sumYY += quantized * quantized;
+                    sumXY += original * quantized;
+                }
+            }
+            if (!complete) continue;
+            
+            const meanX = sumX / size;
+            const meanY = sumY / size;
+            const varianceX = sumXX / size - meanX * meanX;
+            const varianceY = sumYY / size - meanY * meanY;
+            const covariance = sumXY / size - meanX * meanY;
+            total += ((2 * meanX * meanY + c1) * (2 * covariance + c2)) /
+                ((meanX * meanX + meanY * meanY + c1) * (varianceX + varianceY + c2));
+            windows++;
+        }
+    }
+
+    return windows > 0 ? total / windows : null;
+}
+
+// Compare an image ({ pixels, width, height }) with its quantized version
+// (sRGB palette and labels). Returns { mse, psnr, ssim, deltaE: { mean, p95 },
+// errorMap }: MSE per channel in 0-255 units, PSNR in dB, and errorMap with
+// one ΔE value per pixel (see ERROR_MAP_SCALE).
+function compareImages({ pixels, width, height }, palette, labels) {
+    const colors = palette.map(color => color.slice(0, 3).map(value => Math.round(value)));
+    const lab = ColorSpaces.lab;
+    const paletteLab = colors.map(([r, g, b]) => {
+        const out = [0, 0, 0];
+        lab.fromRGB(r, g, b, out, 0);
+        return out;
+    });
+    
+    // ΔE histogram in steps of 0.01 for the percentile; larger values share the last bin
+    const histogram = new Uint32Array(10001);
+    const errorMap = new Uint8Array(labels.length);
+    const pixelLab = [0, 0, 0];
+    // Direct-mapped cache of ΔE by packed RGB and label
+    const cacheColors = new Int32Array(1 << DELTA_E_CACHE_BITS).fill(-1);
+    const cacheLabels = new Int32Array(1 << DELTA_E_CACHE_BITS);
+    const cacheValues = new Float32Array(1 << DELTA_E_CACHE_BITS);
+    let squaredError = 0;
+    let deltaESum = 0;
+    let count = 0;
+    
+    for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        if (label < 0) continue;
+        const r = pixels[i * 3], g = pixels[i * 3 + 1], b = pixels[i * 3 + 2];
+        const color = colors[label];
+        squaredError += (r - color[0]) ** 2 + (g - color[1]) ** 2 + (b - color[2]) ** 2;
+        
+        const rgb = (r << 16) | (g << 8) | b;
+        const slot = (Math.imul(rgb, 0x9e3779b1) ^ Math.imul(label, 0x85ebca6b)) >>> (32 - DELTA_E_CACHE_BITS);
+        let deltaE;
+        if (cacheColors[slot] === rgb && cacheLabels[slot] === label) {
+            deltaE = cacheValues[slot];
+        } else {
+            lab.fromRGB(r, g, b, pixelLab, 0);
+            const target = paletteLab[label];
+            deltaE = ciede2000(pixelLab[0], pixelLab[1], pixelLab[2], target[0], target[1], target[2]);
+            cacheColors[slot] = rgb;
+            cacheLabels[slot] = label;
+            cacheValues[slot] = deltaE;
+        }
+        deltaESum += deltaE;
+        histogram[Math.min(10000, Math.round(deltaE * 100))]++;
+        errorMap[i] = Math.min(255, Math.round(deltaE * ERROR_MAP_SCALE));
+        count++;
+    }
+
+    if (count === 0) throw new Error('The image has no visible pixels to compare');
+    
+    let p95 = 0;
+    for (let bin = 0, seen = 0; bin < histogram.length; bin++) {
+        seen += histogram[bin];
+        if (seen >= 0.95 * count) {
+            p95 = bin / 100;
+            break;
+        }
+    }
+
+    const mse = squaredError / (count * 3);
+    return {
+        mse,
+        psnr: mse > 0 ? 10 * Math.log10(255 * 255 / mse) : Infinity,
+        ssim: lumaSSIM(pixels, width, height, colors, labels),
+        deltaE: { mean: deltaESum / count, p95 },
+        errorMap
+    };
+}
+
+// Worker task wrapper around compareImages
+function runMetricsJob({ image, palette, labels }, report) {
+    report({ type: 'metrics', pixelCount: image.width * image.height });
+    return compareImages(image, palette, labels);
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Command-line quantizer
+// Quantizes PNG and PPM files with the same core as the page, writing an
+// indexed PNG-8 or GIF and the palette as JSON for each input.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const quantizer = require('./quantize-node.js');
+
+const USAGE = `Usage: node quantize-cli.js [options] <image.png|image.ppm>...
+
+Options:
+  -k, --clusters <k>        Palette size from 2 to 256 (255 for images with
+                            transparency), or "auto" to choose it (default 8)
+  -a, --algorithm <name>    ${Object.keys(quantizer.Algorithms).join(', ')} (default kmeans)
+  -c, --color-space <name>  ${Object.keys(quantizer.ColorSpaces).join(', ')} (default srgb)
+      --alpha <mode>        ${Object.keys(quantizer.AlphaModes).join(', ')} (default threshold)
+      --analysis-size <px>  Longest side the centroids are fitted on (default 300)
+      --seed <n>            k-means++ seed, to replay a run (default: a new one)
+      --n-init <n>          k-means++ runs; the lowest inertia is kept (default 1)
+      --seed-sample <n>     Pixels k-means++ picks its seeds from (default: all
+                            of them; kmeans-minibatch: three batches)
+      --batch-size <n>      Points per step of kmeans-minibatch (default 1024)
+      --compare             Also fit the exact algorithm kmeans-minibatch
+                            approximates and print the inertia gap
+  -o, --output <file>       Quantized image, .png or .gif (one input only;
+                            default <name>-quantized.png next to the input)
+  -p, --palette <file>      Palette JSON (one input only; default <name>-palette.json)
+  -d, --out-dir <dir>       Directory for the default output names
+  -h, --help                Show this help`;
+
+// Encoders for the output file, by extension
+const OUTPUT_ENCODERS = {
+    '.png': (size, palette, labels) => quantizer.encodePNG8(size, palette, labels),
+    '.gif': (size, palette, labels) => quantizer.encodeGIF(size, palette, labels)
+};
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            clusters: { type: 'string', short: 'k', default: '8' },
+            algorithm: { type: 'string', short: 'a', default: 'kmeans' },
+            'color-space': { type: 'string', short: 'c', default: 'srgb' },
+            alpha: { type: 'string', default: 'threshold' },
+            'analysis-size': { type: 'string', default: '300' },
+            seed: { type: 'string' },
+            'n-init': { type: 'string', default: '1' },
+            'seed-sample': { type: 'string' },
+            'batch-size': { type: 'string', default: '1024' },
+            compare: { type: 'boolean', default: false },
+            output: { type: 'string', short: 'o' },
+            palette: { type: 'string', short: 'p' },
+            'out-dir': { type: 'string', short: 'd' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    
+    const k = values.clusters === 'auto' ? 'auto' : Number(values.clusters);
+    if (k !== 'auto' && !(Number.isInteger(k) && k >= 2 && k <= 256)) {
+        throw new Error('-k must be a whole number from 2 to 256, or "auto"');
+    }
+    const analysisSize = Number(values['analysis-size']);
+    if (!(Number.isInteger(analysisSize) && analysisSize > 0)) {
+        throw new Error('--analysis-size must be a positive whole number');
+    }
+    const seed = values.seed === undefined ? null : Number(values.seed);
+    if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+        throw new Error('--seed must be a whole number from 0 to 4294967295');
+    }
+    const nInit = Number(values['n-init']);
+    if (!(Number.isInteger(nInit) && nInit > 0)) {
+        throw new Error('--n-init must be a positive whole number');
+    }
+    const seedSample = values['seed-sample'] === undefined ? null : Number(values['seed-sample']);
+    if (seedSample !== null && !(Number.isInteger(seedSample) && seedSample > 0)) {
+        throw new Error('--seed-sample must be a positive whole number');
+    }
+    const batchSize = Number(values['batch-size']);
+    if (!(Number.isInteger(batchSize) && batchSize > 0)) {
+        throw new Error('--batch-size must be a positive whole number');
+    }
+    if ((values.output || values.palette) && positionals.length > 1) {
+        throw new Error('--output and --palette take a single input image');
+    }
+    if (values.output && !OUTPUT_ENCODERS[path.extname(values.output).toLowerCase()]) {
+        throw new Error(`--output must end in ${Object.keys(OUTPUT_ENCODERS).join(' or ')}`);
+    }
+
+    return {
+        help: values.help,
+        inputs: positionals,
+        settings: { k, algorithm: values.algorithm, colorSpace: values['color-space'], alphaMode: values.alpha, analysisSize, seed, nInit, seedSample, batchSize, compareReference: values.compare },
+        output: values.output,
+        palette: values.palette,
+        outDir: values['out-dir']
+    };
+}
+
+// Quantize one file and write its image and palette. Returns the paths written.
+async function quantizeFile(input, { settings, output, palette, outDir }) {
+    const image = quantizer.readImage(input);
+    // Transparent pixels take a palette entry of their own, and indexed files
+    // hold 256 at most
+    const alphaMode = quantizer.AlphaModes[settings.alphaMode];
+    if (settings.k > 255 && alphaMode && image.alpha.some(value => value < alphaMode.minAlpha)) {
+        throw new Error(`${input} has transparent pixels, which need a palette entry of their own: -k can be at most 255 for it`);
+    }
+    const result = quantizer.quantizeImage(image, settings);
+    
+    const name = path.basename(input, path.extname(input));
+    const directory = outDir || path.dirname(input);
+    const imagePath = output || path.join(directory, `${name}-quantized.png`);
+    const palettePath = palette || path.join(directory, `${name}-palette.json`);
+    
+    const size = { width: image.width, height: image.height };
+    const encode = OUTPUT_ENCODERS[path.extname(imagePath).toLowerCase()];
+    fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+    fs.writeFileSync(imagePath, await encode(size, result.palette, result.outputLabels));
+    
+    const entries = quantizer.paletteEntries(result.palette, result.outputLabels);
+    fs.mkdirSync(path.dirname(palettePath), { recursive: true });
+    fs.writeFileSync(palettePath, quantizer.PaletteFormats.json.encode(entries, `${name} (K=${result.k})`));
+    
+    return { result, imagePath, palettePath };
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help || options.inputs.length === 0) {
+        console.log(USAGE);
+        return;
+    }
+
+    for (const input of options.inputs) {
+        const { result, imagePath, palettePath } = await quantizeFile(input, options);
+        const seed = result.seed === null ? '' : `, seed ${result.seed}`;
+        const gap = result.reference ? `, inertia ${quantizer.formatInertiaGap(result)} off ${result.reference.algorithm}` : '';
+        console.log(`${input}: K=${result.k}${seed}${gap}, ${Math.round(result.fitTime)} ms → ${imagePath}, ${palettePath}`);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`quantize: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,259 @@
+// Node entry point
+// The same core the page and the worker run, plus PNG and PPM file reading,
+// for scripts and build pipelines: const quantizer = require('./quantize-node.js')
+//
+// The core files are plain scripts that share one global scope, as they do
+// under <script> tags and importScripts; here they run together in one
+// function scope and the names below are exported from it.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+// In dependency order, as index.html loads them
+const CORE_SCRIPTS = [
+    'color-spaces.js',
+    'quantizers.js',
+    'kmeans.js',
+    'cluster-metrics.js',
+    'dither.js',
+    'segmentation.js',
+    'image-encoders.js',
+    'quality-metrics.js',
+    'palette-export.js',
+    'image-pixels.js',
+    'zip-writer.js',
+    'quantize.js'
+];
+
+const CORE_EXPORTS = [
+    'ColorSpaces', 'convertPixels', 'centroidsToRGB',
+    'Quantizer', 'FixedPaletteQuantizer', 'MedianCutQuantizer', 'OctreeQuantizer', 'WuQuantizer', 'KMeans', 'MedianCutKMeans', 'MiniBatchKMeans',
+    'silhouetteScore', 'daviesBouldinIndex', 'recommendK',
+    'DitherModes', 'ditherPixels',
+    'connectedSegments', 'segmentBoundaries',
+    'encodePNG8', 'encodeGIF', 'encodeMaskPNG', 'encodeLabelMapPNG',
+    'compareImages',
+    'PaletteFormats', 'paletteEntries', 'parsePaletteColors', 'rgbToHex',
+    'scaledDimensions', 'splitRGBA', 'resizeImage', 'poolImages',
+    'encodeZip',
+    'AUTO_K_RANGE', 'Algorithms', 'AlphaModes', 'PaletteModes', 'formatInertiaGap', 'runQuantizationJob', 'WorkerTasks'
+];
+
+function loadCore() {
+    const source = CORE_SCRIPTS.map(file => fs.readFileSync(path.join(__dirname, file), 'utf8')).join('\n');
+    const load = vm.compileFunction(`${source}\nreturn { ${CORE_EXPORTS.join(', ')} };`, [], {
+        filename: path.join(__dirname, 'quantize-node.js (core scripts)')
+    });
+    return load();
+}
+
+const core = loadCore();
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Channels per pixel of each PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Undo the per-row PNG filters in place. Returns one Uint8Array per row.
+function unfilterPNGRows(data, height, stride, bytesPerPixel) {
+    const rows = [];
+    let previous = new Uint8Array(stride);
+    for (let y = 0; y < height; y++) {
+        const offset = y * (stride + 1);
+        const filter = data[offset];
+        const row = data.subarray(offset + 1, offset + 1 + stride);
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            let predictor;
+            if (filter === 0) predictor = 0;
+            else if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            } else {
+                throw new Error(`Row ${y} of the PNG has an unknown filter type ${filter}`);
+            }
+            row[i] = (row[i] + predictor) & 0xff;
+        }
+        rows.push(row);
+        previous = row;
+    }
+    return rows;
+}
+
+// Decode a PNG of any color type and bit depth, with tRNS transparency.
+// 16-bit samples are reduced to 8 bits. Interlaced files are not supported.
+function decodePNG(bytes) {
+    if (PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) throw new Error('Not a PNG file');
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const compressed = [];
+    // Chunks are a length, a type, the data and a CRC
+    for (let offset = 8; offset + 8 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+        const start = offset + 8;
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, start));
+        const data = bytes.subarray(start, start + view.getUint32(offset));
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(start),
+                height: view.getUint32(start + 4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            compressed.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error('The PNG has no IHDR chunk');
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels) throw new Error(`Unknown PNG color type ${colorType}`);
+    if (interlace) throw new Error('Interlaced PNGs are not supported');
+    if (colorType === 3 && !palette) throw new Error('The PNG has no palette');
+    
+    const stride = Math.ceil(width * channels * bitDepth / 8);
+    const rows = unfilterPNGRows(zlib.inflateSync(Buffer.concat(compressed)), height, stride, Math.max(1, channels * bitDepth / 8));
+    const maxSample = (1 << bitDepth) - 1;
+    // Sample c of pixel x, at the file's bit depth
+    const sample = (row, x, c) => {
+        const index = x * channels + c;
+        if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+        if (bitDepth === 8) return row[index];
+        const bit = index * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    const to8 = (value) => Math.round(value * 255 / maxSample);
+    const transparentSample = (c) => (transparency[c * 2] << 8) | transparency[c * 2 + 1];
+    
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    rows.forEach((row, y) => {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            if (colorType === 3) {
+                const index = sample(row, x, 0);
+                rgba.set(palette.subarray(index * 3, index * 3 + 3), o);
+                rgba[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                const gray = sample(row, x, 0);
+                rgba[o] = rgba[o + 1] = rgba[o + 2] = to8(gray);
+                if (colorType === 4) rgba[o + 3] = to8(sample(row, x, 1));
+                else rgba[o + 3] = transparency && gray === transparentSample(0) ? 0 : 255;
+            } else {
+                const values = [0, 1, 2].map(c => sample(row, x, c));
+                values.forEach((value, c) => { rgba[o + c] = to8(value); });
+                if (colorType === 6) rgba[o + 3] = to8(sample(row, x, 3));
+                else rgba[o + 3] = transparency && values.every((value, c) => value === transparentSample(c)) ? 0 : 255;
+            }
+        }
+    });
+    
+    return core.splitRGBA(rgba, width, height);
+}
+
+// Decode a Netpbm PPM (P6 binary, P3 plain) or grayscale PGM (P5, P2)
+function decodePPM(bytes) {
+    const magic = String.fromCharCode(bytes[0], bytes[1]);
+    const channels = { P2: 1, P3: 3, P5: 1, P6: 3 }[magic];
+    if (!channels) throw new Error('Not a PPM or PGM file');
+    
+    // Header fields are separated by whitespace, with # comments to the end of a line
+    let offset = 2;
+    const nextToken = () => {
+        while (offset < bytes.length) {
+            if (bytes[offset] === 0x23) {
+                while (offset < bytes.length && bytes[offset] !== 0x0a) offset++;
+            } else if (/\s/.test(String.fromCharCode(bytes[offset]))) {
+                offset++;
+            } else {
+                break;
+            }
+        }
+        const start = offset;
+        while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+        if (start === offset) throw new Error('The PPM file ends early');
+        return parseInt(String.fromCharCode(...bytes.subarray(start, offset)));
+    };
+    const width = nextToken();
+    const height = nextToken();
+    const maxValue = nextToken();
+    if (!(width > 0 && height > 0 && maxValue > 0 && maxValue < 65536)) throw new Error('The PPM header is not valid');
+    offset++; // The single whitespace before a binary raster
+    
+    const plain = magic === 'P2' || magic === 'P3';
+    const wide = maxValue > 255;
+    const count = width * height * channels;
+    if (!plain && bytes.length < offset + count * (wide ? 2 : 1)) throw new Error('The PPM file ends early');
+    const value = (i) => {
+        if (plain) return nextToken();
+        return wide ? (bytes[offset + i * 2] << 8) | bytes[offset + i * 2 + 1] : bytes[offset + i];
+    };
+
+    const rgba = new Uint8ClampedArray(width * height * 4).fill(255);
+    for (let i = 0; i < count; i++) {
+        const level = Math.round(value(i) * 255 / maxValue);
+        const p = Math.floor(i / channels);
+        if (channels === 1) rgba[p * 4] = rgba[p * 4 + 1] = rgba[p * 4 + 2] = level;
+        else rgba[p * 4 + i % 3] = level;
+    }
+    return core.splitRGBA(rgba, width, height);
+}
+
+// Read a PNG or PPM file into an image, telling the two apart by content
+function readImage(file) {
+    const bytes = new Uint8Array(fs.readFileSync(file));
+    if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) return decodePNG(bytes);
+    if (bytes[0] === 0x50 && [0x32, 0x33, 0x35, 0x36].includes(bytes[1])) return decodePPM(bytes);
+    throw new Error(`${file} is not a PNG or PPM file`);
+}
+
+// Quantize an image the way the page does: fit on a copy at most
+// analysisSize on its longest side, then map every pixel of the image.
+// k may be 'auto' to choose it from AUTO_K_RANGE; seed and nInit apply to
+// k-means++ (seedSample being the pixels it seeds on), batchSize to
+// mini-batch K-means and compareReference to
+// approximate algorithms (see runQuantizationJob).
+// Returns the result of
+// runQuantizationJob; result.outputLabels and result.palette describe the
+// quantized image.
+function quantizeImage(image, { k = 8, algorithm = 'kmeans', colorSpace = 'srgb', alphaMode = 'threshold', analysisSize = 300, paletteConstraint = null, seed = null, nInit = 1, seedSample = null, batchSize = null, compareReference = false, report = () => {} } = {}) {
+    if (!core.Algorithms[algorithm]) throw new Error(`Unknown algorithm "${algorithm}"`);
+    if (!core.ColorSpaces[colorSpace]) throw new Error(`Unknown color space "${colorSpace}"`);
+    if (!core.AlphaModes[alphaMode]) throw new Error(`Unknown transparency mode "${alphaMode}"`);
+    
+    const autoK = k === 'auto' ? core.AUTO_K_RANGE : null;
+    return core.runQuantizationJob({
+        k: autoK ? null : k,
+        autoK,
+        analysis: core.resizeImage(image, analysisSize),
+        output: image,
+        alphaMode,
+        colorSpace,
+        algorithm,
+        paletteConstraint,
+        seed,
+        nInit,
+        seedSample,
+        batchSize,
+        compareReference
+    }, report);
+}
+
+module.exports = { ...core, decodePNG, decodePPM, readImage, quantizeImage };
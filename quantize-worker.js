@@ -0,0 +1,26 @@
+// Quantization worker
+// Runs a task from WorkerTasks off the main thread and posts progress back to the page
+
+importScripts('color-spaces.js', 'quantizers.js', 'kmeans.js', 'cluster-metrics.js', 'dither.js', 'segmentation.js', 'image-encoders.js', 'quality-metrics.js', 'quantize.js');
+
+self.onmessage = async (event) => {
+    const { jobId, task, ...job } = event.data;
+    
+    // Tasks may be async, so failures are posted back rather than left to the
+    // worker's error event
+    let result;
+    try {
+        result = await WorkerTasks[task](job, (message) => {
+            self.postMessage({ jobId, ...message });
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+        return;
+    }
+
+    // Hand the typed arrays over instead of copying them
+    const transfer = Object.values(result)
+        .filter(value => ArrayBuffer.isView(value))
+        .map(value => value.buffer);
+    self.postMessage({ type: 'result', jobId, result }, transfer);
+};
@@ -0,0 +1,422 @@
+// Quantization pipeline
+// Shared by the main page and the quantization worker (quantize-worker.js)
+// Requires color-spaces.js, quantizers.js, kmeans.js, cluster-metrics.js, dither.js,
+// segmentation.js, image-encoders.js and quality-metrics.js.
+
+// K values tried when the cluster count is set to "Auto"
+const AUTO_K_RANGE = { min: 2, max: 9 };
+
+// Available algorithms; each creates an object with the Quantizer interface.
+// Lockable ones also take fixed centroids through lockCentroids(points);
+// seeded ones draw random seeds and take a seed and restarts through useSeed
+// and a k-means++ sample size through useSeedSample;
+// batched ones take a batch size through useBatchSize. An approximate
+// algorithm names the one it approximates, which its results are measured against.
+// Color-only ones cluster three color dimensions, with no alpha or position
+// (see algorithmConflict).
+const Algorithms = {
+    kmeans: {
+        label: 'K-means (k-means++)',
+        lockable: true,
+        seeded: true,
+        create: (k) => new KMeans(k)
+    },
+    'kmeans-mediancut': {
+        label: 'K-means seeded by median cut',
+        lockable: true,
+        create: (k) => new MedianCutKMeans(k)
+    },
+    'kmeans-minibatch': {
+        label: 'Mini-batch K-means',
+        lockable: true,
+        seeded: true,
+        batched: true,
+        approximates: 'kmeans',
+        create: (k) => new MiniBatchKMeans(k)
+    },
+    mediancut: {
+        label: 'Median cut',
+        create: (k) => new MedianCutQuantizer(k)
+    },
+    octree: {
+        label: 'Octree',
+        create: (k) => new OctreeQuantizer(k)
+    },
+    wu: {
+        label: "Wu's variance minimization",
+        colorOnly: true,
+        create: (k) => new WuQuantizer(k)
+    }
+};
+
+// Pixels converted and labelled per step when mapping the output image, so a
+// full-resolution photo never needs a second full-size float copy
+const MAPPING_CHUNK_SIZE = 1 << 20;
+
+// Fit every K in [min, max] with quantizers from createQuantizer(k) and score
+// each fit; returns the quantizer and result for the recommended K along with
+// the per-K evaluations
+function selectK(data, dimensions, createQuantizer, { min, max }, report) {
+    const indices = sampleIndices(data.length / dimensions);
+    const fits = [];
+    
+    for (let k = min; k <= max; k++) {
+        report({ type: 'auto-k', k, index: k - min + 1, total: max - min + 1 });
+        
+        const quantizer = createQuantizer(k);
+        const result = quantizer.fit(data, dimensions);
+        fits.push({
+            quantizer,
+            result,
+            evaluation: {
+                k,
+                inertia: result.inertia,
+                silhouette: silhouetteScore(data, dimensions, result.labels, result.centroids.length, indices),
+                daviesBouldin: daviesBouldinIndex(data, dimensions, result.labels, result.centroids)
+            }
+        });
+    }
+
+    const evaluations = fits.map(fit => fit.evaluation);
+    const selection = { evaluations, ...recommendK(evaluations) };
+    const chosen = fits.find(fit => fit.evaluation.k === selection.recommendedK);
+    return { quantizer: chosen.quantizer, result: chosen.result, selection };
+}
+
+// Transparency handling. Pixels below minAlpha are transparent: left out of
+// the fit and left transparent in the output.
+const AlphaModes = {
+    // Every other pixel is drawn fully opaque
+    threshold: { label: '1-bit (threshold at 50%)', minAlpha: 128 },
+    // Alpha is clustered as a fourth coordinate, so the palette carries alpha
+    quantize: { label: 'Quantized alpha', minAlpha: 1 }
+};
+
+// Palette constraints. The given colors are sRGB; a fixed palette replaces
+// the fit, locked colors stay put while K-means places the remaining K - n.
+const PaletteModes = {
+    fit: { label: 'Fit all colors' },
+    fixed: { label: 'Fixed palette' },
+    lock: { label: 'Locked colors' }
+};
+
+// Why the algorithm cannot cluster a job's features, or null if it can.
+// quantizeAlpha is whether alpha is one of them: the image has transparency
+// and the transparency mode quantizes it.
+function algorithmConflict(algorithm, { quantizeAlpha, segmentation, paletteConstraint }) {
+    const { label, colorOnly } = Algorithms[algorithm];
+    // A fixed palette is mapped to, not fitted
+    if (!colorOnly || (paletteConstraint && paletteConstraint.mode === 'fixed')) return null;
+    if (segmentation) return `${label} clusters colors only; choose another algorithm for segmentation`;
+    if (quantizeAlpha) return `${label} clusters colors only; choose another algorithm to quantize the alpha of this image`;
+    return null;
+}
+
+// How far an approximate result's inertia is above that of its reference fit
+// (result.reference), as text such as "+1.30%". A flat or few-color image can
+// give the reference an inertia of 0, which has no ratio: the gap is then
+// "0.00%" if the result is exact as well, or the inertia it has in excess.
+function formatInertiaGap({ inertia, reference }) {
+    if (reference.inertia > 0) {
+        const percent = (inertia / reference.inertia - 1) * 100;
+        return `${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%`;
+    }
+    return inertia > 0 ? `+${inertia.toFixed(2)} over an exact fit` : '0.00%';
+}
+
+// How the pixels of a width × height image become feature vectors: the color
+// in the clustering space, then alpha if it is quantized and the position if
+// segmenting (spatialWeight not null), both scaled to the color space's range
+function featureLayout({ width, height }, colorSpace, quantizeAlpha, spatialWeight) {
+    const range = ColorSpaces[colorSpace].range;
+    const spatial = spatialWeight !== null;
+    return {
+        colorSpace,
+        width,
+        quantizeAlpha,
+        spatial,
+        alphaScale: range / 255,
+        positionScale: spatial ? positionScale(width, height, range, spatialWeight) : 0,
+        dimensions: 3 + (quantizeAlpha ? 1 : 0) + (spatial ? 2 : 0)
+    };
+}
+
+// Features of pixels start..end of an image ({ pixels, alpha }), laid out as
+// described by featureLayout
+function pixelFeatures({ pixels, alpha }, layout, start = 0, end = pixels.length / 3) {
+    const colors = convertPixels(pixels, layout.colorSpace, start, end);
+    if (layout.dimensions === 3) return colors;
+    
+    const d = layout.dimensions;
+    const out = new Float32Array((end - start) * d);
+    for (let i = start, c = 0, o = 0; i < end; i++, c += 3, o += d) {
+        out[o] = colors[c];
+        out[o + 1] = colors[c + 1];
+        out[o + 2] = colors[c + 2];
+        let j = o + 3;
+        if (layout.quantizeAlpha) out[j++] = alpha[i] * layout.alphaScale;
+        if (layout.spatial) {
+            out[j] = (i % layout.width) * layout.positionScale;
+            out[j + 1] = Math.floor(i / layout.width) * layout.positionScale;
+        }
+    }
+    return out;
+}
+
+// Feature vectors of fully opaque sRGB colors, laid out as described by
+// featureLayout (which must not be spatial: a color has no position)
+function colorFeatures(colors, layout) {
+    const space = ColorSpaces[layout.colorSpace];
+    return colors.map(([r, g, b]) => {
+        const point = [0, 0, 0];
+        space.fromRGB(r, g, b, point, 0);
+        if (layout.quantizeAlpha) point.push(255 * layout.alphaScale);
+        return point;
+    });
+}
+
+// Indices of the pixels with at least minAlpha, or null if every pixel has
+function visiblePixels(alpha, minAlpha) {
+    let count = 0;
+    for (let i = 0; i < alpha.length; i++) {
+        if (alpha[i] >= minAlpha) count++;
+    }
+    if (count === alpha.length) return null;
+    
+    const indices = new Int32Array(count);
+    for (let i = 0, v = 0; i < alpha.length; i++) {
+        if (alpha[i] >= minAlpha) indices[v++] = i;
+    }
+    return indices;
+}
+
+// Run one quantization job: convert the analysis pixels into the chosen color
+// space, fit the chosen algorithm there, then map every output pixel to its
+// nearest centroid. Used by the worker and by the main-thread fallback alike.
+// analysis and output are images ({ pixels, alpha, width, height }); alpha may
+// be null for opaque images.
+// With autoK ({ min, max }) the K is chosen by selectK instead of given.
+// With segmentation ({ weight }) pixels are clustered on color and position
+// and the output labels are split into connected segments
+// (result.segmentLabels and result.segmentCount).
+// With paletteConstraint ({ mode: 'fixed' | 'lock', colors: [[r, g, b], ...] })
+// the palette is the given colors, or starts with them; see PaletteModes.
+// Seeded algorithms draw from a PRNG started at seed (a random one when
+// null) and keep the best of nInit runs; result.seed replays the run. With
+// seedSample they pick their k-means++ seeds from that many sampled pixels.
+// Batched algorithms use batchSize points per step. With compareReference an
+// approximate algorithm is also fitted with the algorithm it approximates
+// (result.reference), which costs as much as running that one.
+// Transparent pixels are labelled -1 in result.labels and result.outputLabels.
+// report(message) receives progress updates.
+function runQuantizationJob({ k, autoK = null, analysis, output, alphaMode = 'threshold', colorSpace = 'srgb', algorithm = 'kmeans', segmentation = null, paletteConstraint = null, seed = null, nInit = 1, seedSample = null, batchSize = null, compareReference = false }, report) {
+    const { minAlpha } = AlphaModes[alphaMode];
+    const hasAlpha = analysis.alpha ? analysis.alpha.some(value => value < 255) : false;
+    // Alpha of an opaque image is constant and would only add a dimension
+    const quantizeAlpha = alphaMode === 'quantize' && hasAlpha;
+    const spatialWeight = segmentation ? segmentation.weight : null;
+    const layout = featureLayout(analysis, colorSpace, quantizeAlpha, spatialWeight);
+    const dimensions = layout.dimensions;
+    
+    let fixedColors = [];
+    if (paletteConstraint) {
+        fixedColors = paletteConstraint.colors;
+        if (fixedColors.length === 0) throw new Error('The palette has no colors');
+        if (segmentation) throw new Error('A fixed or locked palette cannot be used in segmentation mode');
+        if (paletteConstraint.mode === 'lock' && !Algorithms[algorithm].lockable) {
+            throw new Error(`${Algorithms[algorithm].label} cannot lock colors; choose a K-means algorithm`);
+        }
+    }
+    const conflict = algorithmConflict(algorithm, { quantizeAlpha, segmentation, paletteConstraint });
+    if (conflict) throw new Error(conflict);
+    const fixedPoints = colorFeatures(fixedColors, layout);
+    const seeded = Algorithms[algorithm].seeded && !(paletteConstraint && paletteConstraint.mode === 'fixed');
+    if (seeded && seed === null) seed = Math.floor(Math.random() * 0x100000000);
+    const createQuantizer = (clusters, id = algorithm) => {
+        if (paletteConstraint && paletteConstraint.mode === 'fixed') return new FixedPaletteQuantizer(fixedPoints);
+        const quantizer = Algorithms[id].create(clusters);
+        if (paletteConstraint) quantizer.lockCentroids(fixedPoints);
+        if (seeded) quantizer.useSeed(seed, nInit);
+        if (seeded && seedSample) quantizer.useSeedSample(seedSample);
+        if (batchSize && Algorithms[id].batched) quantizer.useBatchSize(batchSize);
+        return quantizer;
+    };
+
+    // A fixed palette has exactly its own size; locked colors take part of K
+    if (paletteConstraint && paletteConstraint.mode === 'fixed') {
+        k = fixedColors.length;
+        autoK = null;
+    } else if (paletteConstraint) {
+        k = Math.max(k, fixedColors.length);
+        if (autoK) autoK = { min: Math.max(autoK.min, fixedColors.length), max: Math.max(autoK.max, fixedColors.length) };
+    }
+
+    // Transparent pixels often hold black or arbitrary colors; fitting on them
+    // would pull a centroid toward a color that is never seen
+    const visible = hasAlpha ? visiblePixels(analysis.alpha, minAlpha) : null;
+    if (visible && visible.length === 0) {
+        throw new Error('The image has no visible pixels');
+    }
+    let data = pixelFeatures(analysis, layout);
+    if (visible) {
+        const all = data;
+        data = new Float32Array(visible.length * dimensions);
+        visible.forEach((p, v) => data.set(all.subarray(p * dimensions, (p + 1) * dimensions), v * dimensions));
+    }
+    let quantizer;
+    let result;
+    
+    const startTime = performance.now();
+    if (autoK) {
+        let selection;
+        ({ quantizer, result, selection } = selectK(data, dimensions, createQuantizer, autoK, report));
+        result.kSelection = selection;
+        k = selection.recommendedK;
+    } else {
+        quantizer = createQuantizer(k);
+        result = quantizer.fit(data, dimensions, (progress) => {
+            report({ type: 'progress', ...progress });
+        });
+    }
+    result.fitTime = performance.now() - startTime;
+    result.k = k;
+    result.clusteredCount = data.length / dimensions;
+    
+    // The gap to the exact algorithm, fitted on the same data from the same seed
+    const reference = Algorithms[algorithm].approximates;
+    if (compareReference && reference && !(paletteConstraint && paletteConstraint.mode === 'fixed')) {
+        report({ type: 'reference', algorithm: reference, k });
+        const referenceStart = performance.now();
+        const exact = createQuantizer(k, reference).fit(data, dimensions);
+        result.reference = { algorithm: reference, inertia: exact.inertia, fitTime: performance.now() - referenceStart };
+    }
+
+    // Labels again per analysis pixel
+    if (visible) {
+        const labels = new Int32Array(analysis.pixels.length / 3).fill(-1);
+        visible.forEach((p, v) => { labels[p] = result.labels[v]; });
+        result.labels = labels;
+    }
+
+    const pixelCount = output.pixels.length / 3;
+    const outputLayout = featureLayout(output, colorSpace, quantizeAlpha, spatialWeight);
+    report({ type: 'mapping', pixelCount });
+    result.outputLabels = new Int32Array(pixelCount);
+    for (let start = 0; start < pixelCount; start += MAPPING_CHUNK_SIZE) {
+        const end = Math.min(pixelCount, start + MAPPING_CHUNK_SIZE);
+        result.outputLabels.set(quantizer.predict(pixelFeatures(output, outputLayout, start, end)), start);
+    }
+    result.transparentCount = 0;
+    if (output.alpha) {
+        for (let i = 0; i < pixelCount; i++) {
+            if (output.alpha[i] < minAlpha) {
+                result.outputLabels[i] = -1;
+                result.transparentCount++;
+            }
+        }
+    }
+
+    if (segmentation) {
+        report({ type: 'segmenting', pixelCount });
+        const minSize = Math.max(1, Math.round(pixelCount * MIN_SEGMENT_FRACTION));
+        const segments = connectedSegments(result.outputLabels, output.width, output.height, minSize);
+        result.segmentLabels = segments.labels;
+        result.segmentCount = segments.count;
+        result.spatialWeight = segmentation.weight;
+    }
+
+    // Centroids stay in the clustering space; the palette is what gets drawn.
+    // With quantized alpha each palette color is [r, g, b, alpha].
+    result.algorithm = algorithm;
+    result.colorSpace = colorSpace;
+    result.alphaMode = alphaMode;
+    result.hasAlpha = hasAlpha;
+    result.palette = centroidsToRGB(result.centroids, colorSpace);
+    // Given colors come back exactly rather than through a color space round trip
+    fixedColors.forEach((color, c) => { result.palette[c] = color.slice(0, 3); });
+    // K-means steps get their centroids as sRGB too, for the 3D timeline
+    if (result.history) {
+        result.history.forEach(step => { step.palette = centroidsToRGB(step.centroids, colorSpace); });
+    }
+    result.seed = seeded ? seed : null;
+    result.nInit = seeded ? nInit : 1;
+    result.paletteMode = paletteConstraint ? paletteConstraint.mode : 'fit';
+    result.fixedCount = fixedColors.length;
+    if (quantizeAlpha) {
+        result.palette.forEach((color, c) => {
+            color.push(Math.min(255, Math.max(0, result.centroids[c][3] / layout.alphaScale)));
+        });
+    }
+
+    return result;
+}
+
+// Pixels (as an image of just those pixels) at the given indices of an image
+function gatherPixels({ pixels, alpha }, indices) {
+    const gathered = { pixels: new Uint8ClampedArray(indices.length * 3), alpha: alpha ? new Uint8ClampedArray(indices.length) : null };
+    indices.forEach((p, i) => {
+        gathered.pixels.set(pixels.subarray(p * 3, p * 3 + 3), i * 3);
+        if (alpha) gathered.alpha[i] = alpha[p];
+    });
+    gathered.width = indices.length;
+    gathered.height = 1;
+    return gathered;
+}
+
+// Indices of the entries of labels equal to cluster
+function clusterIndices(labels, cluster) {
+    const indices = [];
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] === cluster) indices.push(i);
+    }
+    return Int32Array.from(indices);
+}
+
+// Split one cluster in two with a 2-means fit on its analysis pixels in the
+// clustering space, then send each of its output pixels (and dithered
+// pixels, if any) to the nearer half. The labels are left as they are: the
+// result lists the pixels that move to the new cluster (movedLabels,
+// movedOutputLabels, movedDitheredLabels) along with the palette colors of the
+// two halves, the staying half first.
+function runSplitJob({ cluster, analysis, output, labels, outputLabels, ditheredLabels = null, colorSpace, quantizeAlpha }, report) {
+    const members = clusterIndices(labels, cluster);
+    report({ type: 'splitting', pixelCount: members.length });
+    
+    const layout = featureLayout(analysis, colorSpace, quantizeAlpha, null);
+    const quantizer = new KMeans(2);
+    const fit = quantizer.fit(pixelFeatures(gatherPixels(analysis, members), layout), layout.dimensions);
+    // Seeding stops at one centroid when the pixels share a single color
+    if (fit.centroids.length < 2 || fit.counts[0] === 0 || fit.counts[1] === 0) {
+        throw new Error(`Cluster ${cluster + 1} has a single color and cannot be split`);
+    }
+
+    // Pixels of `cluster` in imageLabels that belong to the second half; the
+    // layout has no position features, so it fits any image
+    const movedPixels = (image, imageLabels, halves = null) => {
+        const candidates = clusterIndices(imageLabels, cluster);
+        const half = halves || quantizer.predict(pixelFeatures(gatherPixels(image, candidates), layout));
+        return candidates.filter((p, i) => half[i] === 1);
+    };
+    const colors = centroidsToRGB(fit.centroids, colorSpace);
+    if (quantizeAlpha) {
+        colors.forEach((color, c) => color.push(Math.min(255, Math.max(0, fit.centroids[c][3] / layout.alphaScale))));
+    }
+
+    return {
+        colors,
+        movedLabels: movedPixels(analysis, labels, fit.labels),
+        movedOutputLabels: movedPixels(output, outputLabels),
+        movedDitheredLabels: ditheredLabels ? movedPixels(output, ditheredLabels) : null
+    };
+}
+
+// Tasks the worker (or the main-thread fallback) can run, by name. A task may
+// return its result or a promise of it.
+const WorkerTasks = {
+    quantize: runQuantizationJob,
+    dither: runDitherJob,
+    encode: runEncodeJob,
+    mask: runMaskJob,
+    metrics: runMetricsJob,
+    split: runSplitJob
+};
@@ -0,0 +1,514 @@
+// Color quantization algorithms
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// Every algorithm implements the same interface as KMeans:
+//   fit(data, dimensions, onProgress) -> { centroids, labels, counts, inertia, iterations }
+//   predict(data) -> Int32Array of nearest-centroid labels
+// where data is a flat typed array with `dimensions` values per point.
+
+// Base class holding the fitted centroids and the nearest-centroid mapping
+class Quantizer {
+    constructor(k) {
+        this.k = k;
+        this.dimensions = 3;
+        this.centroids = null;  // Float64Array, k * dimensions
+        this.labels = null;     // Int32Array, cluster index of every point
+        this.counts = null;     // Int32Array, number of points in every cluster
+        this.inertia = 0;
+    }
+
+    // Squared Euclidean distance between the points starting at offsetA in a and offsetB in b
+    squaredDistance(a, offsetA, b, offsetB) {
+        let sum = 0;
+        for (let j = 0; j < this.dimensions; j++) {
+            const diff = a[offsetA + j] - b[offsetB + j];
+            sum += diff * diff;
+        }
+        return sum;
+    }
+
+    // Write the nearest centroid of every point into labels (and its squared
+    // distance into distances, when given). Returns the summed squared distance.
+    assignNearest(data, labels, distances = null) {
+        const d = this.dimensions;
+        const n = data.length / d;
+        const k = this.k;
+        const centroids = this.centroids;
+        let inertia = 0;
+        
+        for (let i = 0; i < n; i++) {
+            const offset = i * d;
+            let minDistance = Infinity;
+            let closestCentroid = 0;
+            
+            for (let c = 0; c < k; c++) {
+                const cOffset = c * d;
+                let distance = 0;
+                for (let j = 0; j < d; j++) {
+                    const diff = data[offset + j] - centroids[cOffset + j];
+                    distance += diff * diff;
+                }
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    closestCentroid = c;
+                }
+            }
+            
+            labels[i] = closestCentroid;
+            if (distances) distances[i] = minDistance;
+            inertia += minDistance;
+        }
+        
+        return inertia;
+    }
+
+    // Label new points (e.g. a full-resolution image) with the fitted centroids
+    predict(data) {
+        const labels = new Int32Array(data.length / this.dimensions);
+        this.assignNearest(data, labels);
+        return labels;
+    }
+
+    // Centroids (the fitted ones by default) as an array of plain [x, y, z, ...] arrays
+    getCentroidList(centroids = this.centroids) {
+        const list = [];
+        for (let c = 0; c < this.k; c++) {
+            list.push(Array.from(centroids.subarray(c * this.dimensions, (c + 1) * this.dimensions)));
+        }
+        return list;
+    }
+
+    // Store the given centroids (a list of points), label the data with them
+    // and package the shared result shape
+    buildResult(data, centroidList, iterations = 1) {
+        const d = this.dimensions;
+        this.k = centroidList.length;
+        this.centroids = new Float64Array(this.k * d);
+        centroidList.forEach((centroid, c) => this.centroids.set(centroid, c * d));
+        
+        this.labels = new Int32Array(data.length / d);
+        this.inertia = this.assignNearest(data, this.labels);
+        this.counts = new Int32Array(this.k);
+        for (let i = 0; i < this.labels.length; i++) {
+            this.counts[this.labels[i]]++;
+        }
+        
+        return {
+            centroids: this.getCentroidList(),
+            labels: this.labels,
+            counts: this.counts,
+            inertia: this.inertia,
+            iterations
+        };
+    }
+
+    fit() {
+        throw new Error(`${this.constructor.name} does not implement fit()`);
+    }
+}
+
+// Maps every point to the nearest of a given list of centroids, e.g. a brand
+// palette converted into the clustering space; nothing is fitted
+class FixedPaletteQuantizer extends Quantizer {
+    constructor(centroidList) {
+        super(centroidList.length);
+        this.centroidList = centroidList;
+    }
+
+    fit(data, dimensions = 3) {
+        this.dimensions = dimensions;
+        return this.buildResult(data, this.centroidList, 0);
+    }
+}
+
+// Per-dimension [min, max] of the data, used to bin arbitrary color spaces
+function dimensionRanges(data, d) {
+    const ranges = [];
+    for (let j = 0; j < d; j++) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = j; i < data.length; i += d) {
+            if (data[i] < min) min = data[i];
+            if (data[i] > max) max = data[i];
+        }
+        ranges.push([min, max]);
+    }
+    return ranges;
+}
+
+// Median cut: repeatedly split the box with the widest spread at the median
+// of its widest dimension until there are K boxes; each box mean is a color
+class MedianCutQuantizer extends Quantizer {
+    // Index range [start, end) of the shared index array, with its widest dimension
+    createBox(data, indices, start, end) {
+        const d = this.dimensions;
+        let axis = 0;
+        let range = -1;
+        for (let j = 0; j < d; j++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = start; i < end; i++) {
+                const value = data[indices[i] * d + j];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > range) {
+                range = max - min;
+                axis = j;
+            }
+        }
+        return { start, end, axis, range };
+    }
+
+    fit(data, dimensions = 3, onProgress = null) {
+        const d = dimensions;
+        const n = data.length / d;
+        this.dimensions = d;
+        
+        const indices = new Int32Array(n);
+        for (let i = 0; i < n; i++) indices[i] = i;
+        
+        const boxes = [this.createBox(data, indices, 0, n)];
+        
+        while (boxes.length < this.k) {
+            // Split the box with the widest spread that still holds distinct colors
+            let target = -1;
+            boxes.forEach((box, index) => {
+                if (box.range > 0 && box.end - box.start > 1 &&
+                    (target < 0 || box.range > boxes[target].range)) {
+                    target = index;
+                }
+            });
+            if (target < 0) break;
+            
+            const box = boxes[target];
+            const axis = box.axis;
+            const slice = indices.subarray(box.start, box.end);
+            slice.sort((a, b) => data[a * d + axis] - data[b * d + axis]);
+            
+            // Median, nudged so both halves are non-empty and equal values stay together
+            let mid = box.start + (slice.length >> 1);
+            const pivot = data[indices[mid] * d + axis];
+            while (mid > box.start && data[indices[mid - 1] * d + axis] === pivot) mid--;
+            if (mid === box.start) {
+                while (mid < box.end && data[indices[mid] * d + axis] === pivot) mid++;
+            }
+            
+            boxes.splice(target, 1,
+                this.createBox(data, indices, box.start, mid),
+                this.createBox(data, indices, mid, box.end)
+            );
+            
+            if (onProgress) onProgress({ iteration: boxes.length, maxIterations: this.k });
+        }
+        
+        // Each box's color is the mean of the points inside it
+        const centroidList = boxes.map(({ start, end }) => {
+            const mean = new Array(d).fill(0);
+            for (let i = start; i < end; i++) {
+                for (let j = 0; j < d; j++) mean[j] += data[indices[i] * d + j];
+            }
+            return mean.map(sum => sum / (end - start));
+        });
+        
+        return this.buildResult(data, centroidList, boxes.length - 1);
+    }
+}
+
+// Octree: insert every color into a tree that splits each dimension in half
+// per level (8 children for 3 dimensions), then fold the least populated
+// deepest nodes into their parents until K leaves remain
+class OctreeQuantizer extends Quantizer {
+    fit(data, dimensions = 3, onProgress = null) {
+        const d = dimensions;
+        const n = data.length / d;
+        const depth = 8;
+        this.dimensions = d;
+        
+        // Bin every dimension to 0-255 so the tree works in any color space
+        const ranges = dimensionRanges(data, d);
+        const createNode = (level) => ({ level, children: null, sums: new Float64Array(d), count: 0 });
+        const root = createNode(0);
+        const levels = Array.from({ length: depth }, () => []); // Inner nodes per level
+        let leafCount = 0;
+        
+        for (let i = 0; i < n; i++) {
+            let node = root;
+            for (let level = 0; level < depth; level++) {
+                // Child index: bit (7 - level) of every binned coordinate
+                let child = 0;
+                for (let j = 0; j < d; j++) {
+                    const [min, max] = ranges[j];
+                    const bin = max > min ? Math.round((data[i * d + j] - min) / (max - min) * 255) : 0;
+                    child |= ((bin >> (7 - level)) & 1) << j;
+                }
+                if (!node.children) {
+                    node.children = new Array(1 << d).fill(null);
+                    levels[level].push(node);
+                }
+                if (!node.children[child]) {
+                    node.children[child] = createNode(level + 1);
+                    if (level + 1 === depth) leafCount++;
+                }
+                node = node.children[child];
+            }
+            node.count++;
+            for (let j = 0; j < d; j++) node.sums[j] += data[i * d + j];
+        }
+        
+        // Aggregate counts and sums up the tree, so any inner node can become a leaf
+        const aggregate = (node) => {
+            if (!node.children) return;
+            node.children.forEach(child => {
+                if (!child) return;
+                aggregate(child);
+                node.count += child.count;
+                for (let j = 0; j < d; j++) node.sums[j] += child.sums[j];
+            });
+        };
+        aggregate(root);
+        
+        // Fold nodes, deepest level first and least populated first within a level
+        let reductions = 0;
+        for (let level = depth - 1; level >= 0 && leafCount > this.k; level--) {
+            const nodes = levels[level].sort((a, b) => a.count - b.count);
+            for (const node of nodes) {
+                if (leafCount <= this.k) break;
+                const children = node.children.filter(Boolean);
+                if (leafCount - (children.length - 1) >= this.k) {
+                    node.children = null;
+                    leafCount -= children.length - 1;
+                } else {
+                    // Folding the whole node would leave fewer than K leaves:
+                    // merge just enough of its least populated children into
+                    // their nearest siblings instead
+                    this.mergeChildren(node, children, leafCount - this.k);
+                    leafCount = this.k;
+                }
+                reductions++;
+                if (onProgress && reductions % 64 === 0) {
+                    onProgress({ iteration: depth - level, maxIterations: depth });
+                }
+            }
+        }
+        
+        const centroidList = [];
+        const collect = (node) => {
+            if (!node.children) {
+                centroidList.push(Array.from(node.sums, sum => sum / node.count));
+                return;
+            }
+            node.children.forEach(child => child && collect(child));
+        };
+        collect(root);
+        
+        return this.buildResult(data, centroidList, reductions);
+    }
+
+    // Merge the `count` least populated of a node's leaf children each into
+    // the sibling whose mean is nearest, keeping the rest of the node intact
+    mergeChildren(node, children, count) {
+        const d = this.dimensions;
+        const mean = (leaf) => Array.from(leaf.sums, sum => sum / leaf.count);
+        const sorted = [...children].sort((a, b) => a.count - b.count);
+        const merged = sorted.slice(0, count);
+        const kept = sorted.slice(count);
+        merged.forEach(leaf => {
+            const point = mean(leaf);
+            let nearest = kept[0];
+            let minDistance = Infinity;
+            kept.forEach(sibling => {
+                const distance = this.squaredDistance(point, 0, mean(sibling), 0);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearest = sibling;
+                }
+            });
+            nearest.count += leaf.count;
+            for (let j = 0; j < d; j++) nearest.sums[j] += leaf.sums[j];
+        });
+        node.children = node.children.map(child => merged.includes(child) ? null : child);
+    }
+}
+
+// Wu's color quantizer: cumulative moment tables over a 32×32×32 histogram
+// let the variance of any box be computed in constant time, and boxes are
+// split greedily where the split removes the most variance
+const WU_SIDE = 33; // 32 bins plus a zero border for the cumulative sums
+
+class WuQuantizer extends Quantizer {
+    fit(data, dimensions = 3, onProgress = null) {
+        if (dimensions !== 3) {
+            throw new Error("Wu's quantizer works on 3-dimensional colors only");
+        }
+        
+        const n = data.length / 3;
+        this.dimensions = 3;
+        
+        const size = WU_SIDE * WU_SIDE * WU_SIDE;
+        const weights = new Float64Array(size);
+        const moments = [new Float64Array(size), new Float64Array(size), new Float64Array(size)];
+        const squares = new Float64Array(size);
+        const ranges = dimensionRanges(data, 3);
+        
+        // Histogram (bins 1-32 per axis), accumulating the real coordinates so
+        // the resulting colors are exact means in the clustering space
+        for (let i = 0; i < n; i++) {
+            let index = 0;
+            let square = 0;
+            for (let j = 0; j < 3; j++) {
+                const value = data[i * 3 + j];
+                const [min, max] = ranges[j];
+                const bin = max > min ? Math.min(31, Math.floor((value - min) / (max - min) * 32)) : 0;
+                index = index * WU_SIDE + bin + 1;
+                square += value * value;
+            }
+            weights[index]++;
+            moments[0][index] += data[i * 3];
+            moments[1][index] += data[i * 3 + 1];
+            moments[2][index] += data[i * 3 + 2];
+            squares[index] += square;
+        }
+        
+        this.computeCumulativeMoments([weights, ...moments, squares]);
+        this.tables = { weights, moments, squares };
+        
+        // Split the box with the largest variance until there are K boxes
+        const boxes = [{ lo: [0, 0, 0], hi: [32, 32, 32] }];
+        const variances = [0];
+        variances[0] = this.variance(boxes[0]);
+        
+        while (boxes.length < this.k) {
+            let next = 0;
+            for (let i = 1; i < boxes.length; i++) {
+                if (variances[i] > variances[next]) next = i;
+            }
+            if (variances[next] <= 0) break;
+            
+            const box = boxes[next];
+            const newBox = this.cut(box);
+            if (!newBox) {
+                variances[next] = 0;
+                continue;
+            }
+            
+            boxes.push(newBox);
+            variances[next] = this.volume(box) > 1 ? this.variance(box) : 0;
+            variances.push(this.volume(newBox) > 1 ? this.variance(newBox) : 0);
+            
+            if (onProgress) onProgress({ iteration: boxes.length, maxIterations: this.k });
+        }
+        
+        const centroidList = [];
+        boxes.forEach(box => {
+            const weight = this.sum(box, weights);
+            if (weight > 0) {
+                centroidList.push(moments.map(moment => this.sum(box, moment) / weight));
+            }
+        });
+        this.tables = null;
+        
+        return this.buildResult(data, centroidList, boxes.length - 1);
+    }
+
+    index(r, g, b) {
+        return (r * WU_SIDE + g) * WU_SIDE + b;
+    }
+
+    // Turn each table into cumulative sums over [0..r] × [0..g] × [0..b]
+    computeCumulativeMoments(tables) {
+        const area = tables.map(() => new Float64Array(WU_SIDE));
+        for (let r = 1; r < WU_SIDE; r++) {
+            area.forEach(a => a.fill(0));
+            for (let g = 1; g < WU_SIDE; g++) {
+                const line = tables.map(() => 0);
+                for (let b = 1; b < WU_SIDE; b++) {
+                    const index = this.index(r, g, b);
+                    const below = this.index(r - 1, g, b);
+                    tables.forEach((table, t) => {
+                        line[t] += table[index];
+                        area[t][b] += line[t];
+                        table[index] = table[below] + area[t][b];
+                    });
+                }
+            }
+        }
+    }
+
+    // Sum of a cumulative table over the box (lo, hi], by inclusion-exclusion
+    sum({ lo, hi }, table) {
+        return table[this.index(hi[0], hi[1], hi[2])]
+            - table[this.index(hi[0], hi[1], lo[2])]
+            - table[this.index(hi[0], lo[1], hi[2])]
+            + table[this.index(hi[0], lo[1], lo[2])]
+            - table[this.index(lo[0], hi[1], hi[2])]
+            + table[this.index(lo[0], hi[1], lo[2])]
+            + table[this.index(lo[0], lo[1], hi[2])]
+            - table[this.index(lo[0], lo[1], lo[2])];
+    }
+
+    volume({ lo, hi }) {
+        return (hi[0] - lo[0]) * (hi[1] - lo[1]) * (hi[2] - lo[2]);
+    }
+
+    // Weighted variance (sum of squared deviations) of the points in a box
+    variance(box) {
+        const { weights, moments, squares } = this.tables;
+        const weight = this.sum(box, weights);
+        if (weight === 0) return 0;
+        const meanSquares = moments.reduce((acc, moment) => acc + this.sum(box, moment) ** 2, 0) / weight;
+        return this.sum(box, squares) - meanSquares;
+    }
+
+    // Find the split of box along axis that maximizes the between-part variance term.
+    // Returns { gain, position } with position -1 when no split is possible.
+    maximize(box, axis, whole) {
+        const { weights, moments } = this.tables;
+        let best = { gain: 0, position: -1 };
+        
+        for (let position = box.lo[axis] + 1; position < box.hi[axis]; position++) {
+            const half = { lo: box.lo, hi: box.hi.slice() };
+            half.hi[axis] = position;
+            
+            const halfWeight = this.sum(half, weights);
+            const otherWeight = whole.weight - halfWeight;
+            if (halfWeight === 0 || otherWeight === 0) continue;
+            
+            let gain = 0;
+            moments.forEach((moment, t) => {
+                const halfMoment = this.sum(half, moment);
+                const otherMoment = whole.moments[t] - halfMoment;
+                gain += halfMoment * halfMoment / halfWeight + otherMoment * otherMoment / otherWeight;
+            });
+            
+            if (gain > best.gain) best = { gain, position };
+        }
+        
+        return best;
+    }
+
+    // Split box in place along its best axis; returns the new upper box or null
+    cut(box) {
+        const whole = {
+            weight: this.sum(box, this.tables.weights),
+            moments: this.tables.moments.map(moment => this.sum(box, moment))
+        };
+        
+        let axis = -1;
+        let best = { gain: 0, position: -1 };
+        for (let j = 0; j < 3; j++) {
+            const candidate = this.maximize(box, j, whole);
+            if (candidate.position >= 0 && candidate.gain > best.gain) {
+                best = candidate;
+                axis = j;
+            }
+        }
+        if (axis < 0) return null;
+        
+        const newBox = { lo: box.lo.slice(), hi: box.hi.slice() };
+        newBox.lo[axis] = best.position;
+        box.hi = box.hi.slice();
+        box.hi[axis] = best.position;
+        return newBox;
+    }
+}
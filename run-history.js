@@ -0,0 +1,137 @@
+// Run history
+// Completed runs kept in IndexedDB across reloads (main page only). A run is a
+// summary for the history list (thumbnail, settings, palette and scores) and
+// its data: the source image and the quantization result with its labels, so
+// it can be shown again without refitting.
+
+const HISTORY_DATABASE = 'image-quantizer';
+const HISTORY_VERSION = 1;
+// Runs past this many are dropped, oldest first
+const HISTORY_LIMIT = 20;
+
+// Promise of an IndexedDB request's result
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Promise that settles when a transaction commits or fails
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('The history transaction was aborted'));
+    });
+}
+
+// Labels in one byte per pixel when there are fewer than 255 clusters, with
+// -1 (transparent) stored as 255
+function packLabels(labels, count) {
+    if (!labels || count >= 255) return labels;
+    return Uint8Array.from(labels, label => label < 0 ? 255 : label);
+}
+
+function unpackLabels(labels) {
+    if (!(labels instanceof Uint8Array)) return labels;
+    return Int32Array.from(labels, label => label === 255 ? -1 : label);
+}
+
+// A result as stored: labels packed, and without what depends on the
+// dithering settings (dithered labels, quality metrics), which is recomputed
+// when the run is restored
+function packResult(result) {
+    return {
+        ...result,
+        labels: packLabels(result.labels, result.palette.length),
+        outputLabels: packLabels(result.outputLabels, result.palette.length),
+        segmentLabels: packLabels(result.segmentLabels, result.segmentCount),
+        ditheredLabels: null,
+        quality: null
+    };
+}
+
+function unpackResult(stored) {
+    return {
+        ...stored,
+        labels: unpackLabels(stored.labels),
+        outputLabels: unpackLabels(stored.outputLabels),
+        segmentLabels: unpackLabels(stored.segmentLabels)
+    };
+}
+
+class RunHistory {
+    constructor() {
+        this.database = null; // Promise of the open database
+    }
+
+    // The database, opened (and created) on first use
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    throw new Error('This browser does not provide IndexedDB');
+                }
+                const request = indexedDB.open(HISTORY_DATABASE, HISTORY_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+                    request.result.createObjectStore('runData', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The history is open in an older version of this page'));
+            });
+            // Let a later call try again
+            this.database.catch(() => { this.database = null; });
+        }
+        return this.database;
+    }
+
+    // Run summaries, newest first
+    async list() {
+        const database = await this.open();
+        const runs = await requestResult(database.transaction('runs').objectStore('runs').getAll());
+        return runs.reverse();
+    }
+
+    // Summary and data of a run, or undefined if it is gone
+    async get(id) {
+        const database = await this.open();
+        const transaction = database.transaction(['runs', 'runData']);
+        const [summary, data] = await Promise.all([
+            requestResult(transaction.objectStore('runs').get(id)),
+            requestResult(transaction.objectStore('runData').get(id))
+        ]);
+        if (!summary || !data) return undefined;
+        return { ...summary, source: data.source, result: unpackResult(data.result) };
+    }
+
+    // Save a run: its summary and its data ({ source, result }). Returns its id.
+    async add(summary, { source, result }) {
+        const database = await this.open();
+        const transaction = database.transaction(['runs', 'runData'], 'readwrite');
+        const runs = transaction.objectStore('runs');
+        const runData = transaction.objectStore('runData');
+        const saved = (async () => {
+            const id = await requestResult(runs.add(summary));
+            runData.add({ id, source, result: packResult(result) });
+            const ids = await requestResult(runs.getAllKeys());
+            ids.slice(0, Math.max(0, ids.length - HISTORY_LIMIT)).forEach(old => {
+                runs.delete(old);
+                runData.delete(old);
+            });
+            return id;
+        })();
+        const [id] = await Promise.all([saved, transactionDone(transaction)]);
+        return id;
+    }
+
+    async delete(id) {
+        const database = await this.open();
+        const transaction = database.transaction(['runs', 'runData'], 'readwrite');
+        transaction.objectStore('runs').delete(id);
+        transaction.objectStore('runData').delete(id);
+        await transactionDone(transaction);
+    }
+}
@@ -1,138 +1,143 @@
 // K-Means Image Color Quantization
-// Implementation of K-means clustering for reducing image colors
-
-class KMeans {
-    constructor(k, maxIterations = 100, tolerance = 1e-4) {
-        this.k = k;
-        this.maxIterations = maxIterations;
-        this.tolerance = tolerance;
-        this.centroids = [];
-        this.clusters = [];
-    }
-
-    // Initialize centroids using k-means++ method for better initial placement
-    initializeCentroids(data) {
-        this.centroids = [];
-        
-        // Choose first centroid randomly
-        const firstIndex = Math.floor(Math.random() * data.length);
-        this.centroids.push([...data[firstIndex]]);
-        
-        // Choose remaining centroids using k-means++ method
-        for (let i = 1; i < this.k; i++) {
-            const distances = data.map(point => {
-                // Find minimum distance to any existing centroid
-                let minDist = Infinity;
-                this.centroids.forEach(centroid => {
-                    const dist = this.euclideanDistance(point, centroid);
-                    if (dist < minDist) minDist = dist;
-                });
-                return minDist * minDist; // Square the distance for probability weighting
-            });
-            
-            // Choose next centroid with probability proportional to squared distance
-            const totalDist = distances.reduce((sum, d) => sum + d, 0);
-            let random = Math.random() * totalDist;
-            
-            for (let j = 0; j < distances.length; j++) {
-                random -= distances[j];
-                if (random <= 0) {
-                    this.centroids.push([...data[j]]);
-                    break;
-                }
-            }
-        }
-    }
+// Application logic and UI; the clustering itself lives in kmeans.js
 
-    // Calculate Euclidean distance between two points
-    euclideanDistance(point1, point2) {
-        return Math.sqrt(
-            point1.reduce((sum, val, idx) => 
-                sum + Math.pow(val - point2[idx], 2), 0
-            )
-        );
-    }
+// Delay between K-means steps when the 3D timeline plays
+const TIMELINE_STEP_MS = 500;
 
-    // Assign each point to the nearest centroid
-    assignPointsToClusters(data) {
-        this.clusters = Array(this.k).fill().map(() => []);
-        
-        data.forEach((point, pointIndex) => {
-            let minDistance = Infinity;
-            let closestCentroid = 0;
-            
-            this.centroids.forEach((centroid, centroidIndex) => {
-                const distance = this.euclideanDistance(point, centroid);
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    closestCentroid = centroidIndex;
-                }
-            });
-            
-            this.clusters[closestCentroid].push({ point, index: pointIndex });
-        });
-    }
+// Longest side of the label map that cluster highlights are drawn from
+const HIGHLIGHT_SIZE = 512;
 
-    // Update centroids based on assigned points
-    updateCentroids() {
-        const newCentroids = [];
-        
-        this.clusters.forEach((cluster, clusterIndex) => {
-            if (cluster.length === 0) {
-                // Keep the old centroid if no points assigned
-                newCentroids.push([...this.centroids[clusterIndex]]);
-            } else {
-                // Calculate mean of all points in cluster
-                const dimensions = cluster[0].point.length;
-                const newCentroid = Array(dimensions).fill(0);
-                
-                cluster.forEach(({ point }) => {
-                    point.forEach((val, dim) => {
-                        newCentroid[dim] += val;
-                    });
-                });
-                
-                newCentroid.forEach((sum, dim) => {
-                    newCentroid[dim] = sum / cluster.length;
-                });
-                
-                newCentroids.push(newCentroid);
-            }
-        });
-        
-        return newCentroids;
+// Per-pixel label arrays of a result that palette edits keep in step
+const EDITED_LABELS = ['labels', 'outputLabels', 'ditheredLabels'];
+
+// Samples per sRGB channel of the grid that Voronoi cell boundaries are traced on
+const VORONOI_GRID = 32;
+
+// Largest file, and largest image once decoded, that can be opened
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 50e6;
+
+// Longest side of the thumbnail saved with each run
+const HISTORY_THUMBNAIL_SIZE = 160;
+
+// Controls saved with each run and shared through the URL hash, by element
+// id. K is saved too, from the cluster buttons.
+const SETTING_CONTROLS = [
+    'analysisSize', 'outputSize', 'mode', 'spatialWeight', 'colorSpace', 'paletteMode', 'paletteColors',
+    'alphaMode', 'algorithm', 'seed', 'nInit', 'seedSample', 'batchSize', 'compareReference', 'ditherMode',
+    'ditherStrength', 'sweepMax', 'vizSpace', 'pointSize', 'pointDensity', 'showPoints', 'showConnections',
+    'showCentroids', 'showTrails', 'showVoronoi', 'showCube'
+];
+
+// Wireframe of the 2-unit box the RGB, CIELAB and OKLab views fill
+function boxFrame() {
+    const geometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(2, 2, 2));
+    geometry.translate(1, 1, 1);
+    return geometry;
+}
+
+// Wireframe of the HSV cylinder: its rims at V = 0 and V = 1 and four sides
+function cylinderFrame() {
+    const segments = 64;
+    const points = [];
+    for (let s = 0; s < segments; s++) {
+        const a0 = s / segments * 2 * Math.PI;
+        const a1 = (s + 1) / segments * 2 * Math.PI;
+        [0, 2].forEach(y => points.push(
+            new THREE.Vector3(1 + Math.cos(a0), y, 1 + Math.sin(a0)),
+            new THREE.Vector3(1 + Math.cos(a1), y, 1 + Math.sin(a1))
+        ));
+    }
+    for (let s = 0; s < 4; s++) {
+        const angle = s * Math.PI / 2;
+        points.push(
+            new THREE.Vector3(1 + Math.cos(angle), 0, 1 + Math.sin(angle)),
+            new THREE.Vector3(1 + Math.cos(angle), 2, 1 + Math.sin(angle))
+        );
     }
+    return new THREE.BufferGeometry().setFromPoints(points);
+}
 
-    // Check if centroids have converged
-    hasConverged(oldCentroids, newCentroids) {
-        return oldCentroids.every((oldCentroid, index) => {
-            const distance = this.euclideanDistance(oldCentroid, newCentroids[index]);
-            return distance < this.tolerance;
-        });
+// Spaces the 3D view plots in. toScene maps a color's coordinates in `space`
+// (see ColorSpaces) into the scene, a 2-unit box from the origin with
+// lightness (or value) pointing up. Axes are drawn as arrows; the legend
+// lists a CSS color and a description per axis.
+const VizSpaces = {
+    rgb: {
+        label: 'RGB cube',
+        name: 'RGB',
+        space: 'srgb',
+        toScene: ([r, g, b]) => [r / 127.5, g / 127.5, b / 127.5],
+        frame: boxFrame,
+        axes: [
+            { from: [0, 0, 0], to: [2.5, 0, 0], color: 0xff0000 },
+            { from: [0, 0, 0], to: [0, 2.5, 0], color: 0x00ff00 },
+            { from: [0, 0, 0], to: [0, 0, 2.5], color: 0x0000ff }
+        ],
+        legend: [
+            ['#ff4444', 'X-Axis: Red (0→1)'],
+            ['#44ff44', 'Y-Axis: Green (0→1)'],
+            ['#4444ff', 'Z-Axis: Blue (0→1)']
+        ]
+    },
+    lab: {
+        label: 'CIELAB',
+        name: 'CIELAB',
+        space: 'lab',
+        toScene: ([l, a, b]) => [1 + a / 128, l / 50, 1 + b / 128],
+        frame: boxFrame,
+        axes: [
+            { from: [0, 1, 1], to: [2.5, 1, 1], color: 0xff4488 },
+            { from: [1, 0, 1], to: [1, 2.5, 1], color: 0xdddddd },
+            { from: [1, 1, 0], to: [1, 1, 2.5], color: 0xffcc33 }
+        ],
+        legend: [
+            ['#ff4488', 'X-Axis: a* green→red (−128→127)'],
+            ['#dddddd', 'Y-Axis: L* lightness (0→100)'],
+            ['#ffcc33', 'Z-Axis: b* blue→yellow (−128→127)']
+        ]
+    },
+    oklab: {
+        label: 'OKLab',
+        name: 'OKLab',
+        space: 'oklab',
+        // ColorSpaces.oklab is scaled by 100; a and b stay within about ±0.4
+        toScene: ([l, a, b]) => [1 + a / 40, l / 50, 1 + b / 40],
+        frame: boxFrame,
+        axes: [
+            { from: [0, 1, 1], to: [2.5, 1, 1], color: 0xff4488 },
+            { from: [1, 0, 1], to: [1, 2.5, 1], color: 0xdddddd },
+            { from: [1, 1, 0], to: [1, 1, 2.5], color: 0xffcc33 }
+        ],
+        legend: [
+            ['#ff4488', 'X-Axis: a green→red (−0.4→0.4)'],
+            ['#dddddd', 'Y-Axis: L lightness (0→1)'],
+            ['#ffcc33', 'Z-Axis: b blue→yellow (−0.4→0.4)']
+        ]
+    },
+    hsv: {
+        label: 'HSV cylinder',
+        name: 'HSV',
+        space: 'hsv',
+        toScene: ([x, z, v]) => [1 + x / 100, v / 50, 1 + z / 100],
+        frame: cylinderFrame,
+        axes: [
+            { from: [1, 0, 1], to: [1, 2.5, 1], color: 0xdddddd },
+            { from: [1, 2, 1], to: [2.5, 2, 1], color: 0xff4444 }
+        ],
+        legend: [
+            ['#dddddd', 'Y-Axis: Value (0→1)'],
+            ['#ff4444', 'Radius: Saturation (0→1)'],
+            ['conic-gradient(from 90deg, #f00, #ff0, #0f0, #0ff, #00f, #f0f, #f00)', 'Angle: Hue (red at +X)']
+        ]
     }
+};
 
-    // Main clustering algorithm
-    fit(data) {
-        this.initializeCentroids(data);
-        
-        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
-            const oldCentroids = this.centroids.map(c => [...c]);
-            
-            this.assignPointsToClusters(data);
-            const newCentroids = this.updateCentroids();
-            
-            if (this.hasConverged(oldCentroids, newCentroids)) {
-                console.log(`Converged after ${iteration + 1} iterations`);
-                break;
-            }
-            
-            this.centroids = newCentroids;
-        }
-        
-        return {
-            centroids: this.centroids,
-            clusters: this.clusters
-        };
+// Raised when a running clustering job is cancelled or replaced by a newer one
+class CancelledError extends Error {
+    constructor(message = 'Processing cancelled') {
+        super(message);
+        this.name = 'CancelledError';
     }
 }
 
@@ -140,41 +145,173 @@ class KMeans {
 class ImageQuantizer {
     constructor() {
         this.originalImage = null;
-        this.selectedK = 4;
+        this.imageName = 'image'; // Base name for downloaded files
+        this.originalFileSize = null; // Bytes of the loaded file
+        this.encodedImages = null; // { png, gif } byte arrays of the last result
+        this.errorMapURL = null; // Object URL of the ΔE heatmap, made when first shown
+        this.clusterEntries = null; // paletteEntries of the displayed image, made when first needed
+        this.highlightMap = null; // Downsampled output labels for cluster highlights
+        this.highlightCanvas = null; // Overlay over the quantized image that dims other clusters
+        this.highlightedCluster = null;
+        this.selectedK = 4; // A number, or 'auto' to choose K from AUTO_K_RANGE
         this.isProcessing = false;
-        this.kmeansResult = null;
-        this.originalPixels = null;
+        this.quantizationResult = null;
+        this.quantizedImageURL = null;
+        
+        // Pixel data of the last run: { pixels, alpha, width, height }. The algorithm is fitted
+        // on the (smaller) analysis image and every output pixel is mapped to a centroid.
+        this.analysis = null;
+        this.output = null;
+        
+        // Clustering job state (see runJob and runWorkerTask)
+        this.jobCounter = 0;
+        this.currentJob = null;
+        
+        // Palette edits of the current result (see applyPaletteEdit), the
+        // swatch being edited and the job redrawing the last edit
+        this.paletteEdits = { done: [], undone: [] };
+        this.selectedCluster = null;
+        this.paletteEditJobId = null;
+        
+        // Queued files of a batch run (see queueBatch) and the palette they
+        // share, if fitted on all of them together
+        this.batchItems = [];
+        this.batchPalette = null;
+        
+        // Last K sweep (see sweepK): its settings and analysis image, one tile
+        // per K and the index of the tile shown as the main result
+        this.sweep = null;
+        
+        // Saved runs (see saveRun), the summaries listed and those ticked for comparison
+        this.runHistory = new RunHistory();
+        this.historyRuns = [];
+        this.compareIds = new Set();
         
         // 3D visualization properties
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
-        this.currentPoints = [];
+        this.pointCloud = null;
         this.centroidMeshes = [];
-        this.connectionLines = [];
-        this.rgbCube = null;
+        this.connectionLines = null;
+        this.connectionLabels = null; // Cluster of the point each connection starts at
+        this.trailLines = [];
+        this.voronoiMesh = null;
+        this.spaceFrame = null;
+        this.axisObjects = [];
+        // Voronoi grid caches: sample features in a clustering space, and
+        // corner positions in a plotted space
+        this.voronoiSamples = null;
+        this.voronoiCorners = null;
+        
+        // Iteration timeline: the K-means step shown in 3D (null for the final
+        // result) and the timer while it plays
+        this.timelineStep = null;
+        this.timelineTimer = null;
         
         this.initializeElements();
         this.setupEventListeners();
         this.loadSampleImages();
         this.init3DScene();
+        
+        // Settings from a shared link, over the page's own defaults
+        this.defaultSettings = this.getSettings();
+        this.applySettings(this.readHashSettings());
+        this.refreshHistory();
     }
 
     initializeElements() {
         this.imageUpload = document.getElementById('imageUpload');
         this.fileInfo = document.getElementById('fileInfo');
         this.processBtn = document.getElementById('processBtn');
+        this.cancelBtn = document.getElementById('cancelBtn');
+        this.analysisSizeInput = document.getElementById('analysisSize');
+        this.outputSizeInput = document.getElementById('outputSize');
+        this.modeSelect = document.getElementById('mode');
+        this.spatialWeightControl = document.getElementById('spatialWeightControl');
+        this.spatialWeightInput = document.getElementById('spatialWeight');
+        this.spatialWeightValue = document.getElementById('spatialWeightValue');
+        this.colorSpaceSelect = document.getElementById('colorSpace');
+        this.paletteModeSelect = document.getElementById('paletteMode');
+        this.paletteConstraintControl = document.getElementById('paletteConstraintControl');
+        this.paletteColorsInput = document.getElementById('paletteColors');
+        this.paletteFileInput = document.getElementById('paletteFile');
+        this.paletteColorsInfo = document.getElementById('paletteColorsInfo');
+        this.palettePreview = document.getElementById('palettePreview');
+        this.alphaModeSelect = document.getElementById('alphaMode');
+        this.algorithmSelect = document.getElementById('algorithm');
+        this.seedControl = document.getElementById('seedControl');
+        this.seedInput = document.getElementById('seed');
+        this.nInitInput = document.getElementById('nInit');
+        this.seedSampleInput = document.getElementById('seedSample');
+        this.batchSizeControl = document.getElementById('batchSizeControl');
+        this.batchSizeInput = document.getElementById('batchSize');
+        this.compareReferenceControl = document.getElementById('compareReferenceControl');
+        this.compareReferenceInput = document.getElementById('compareReference');
+        this.ditherModeSelect = document.getElementById('ditherMode');
+        this.ditherStrengthInput = document.getElementById('ditherStrength');
+        this.ditherStrengthValue = document.getElementById('ditherStrengthValue');
+        this.sweepMaxInput = document.getElementById('sweepMax');
+        this.sweepBtn = document.getElementById('sweepBtn');
+        this.kChartContainer = document.getElementById('kChartContainer');
+        this.kChart = document.getElementById('kChart');
+        this.kChartSummary = document.getElementById('kChartSummary');
         this.originalContainer = document.getElementById('originalContainer');
         this.quantizedContainer = document.getElementById('quantizedContainer');
         this.originalInfo = document.getElementById('originalInfo');
         this.quantizedInfo = document.getElementById('quantizedInfo');
+        this.quantizedStats = document.getElementById('quantizedStats');
         this.progressBar = document.getElementById('progressBar');
         this.progressFill = document.getElementById('progressFill');
         this.processingText = document.getElementById('processingText');
         this.colorPalette = document.getElementById('colorPalette');
+        this.swatchColorPicker = document.getElementById('swatchColorPicker');
+        this.paletteEdit = document.getElementById('paletteEdit');
+        this.splitClusterBtn = document.getElementById('splitClusterBtn');
+        this.copyHexBtn = document.getElementById('copyHexBtn');
+        this.undoEditBtn = document.getElementById('undoEditBtn');
+        this.redoEditBtn = document.getElementById('redoEditBtn');
+        this.paletteExport = document.getElementById('paletteExport');
+        this.clusterInfo = document.getElementById('clusterInfo');
+        this.maskExport = document.getElementById('maskExport');
+        this.maskTargetSelect = document.getElementById('maskTarget');
+        this.paletteFormatSelect = document.getElementById('paletteFormat');
+        this.paletteExportBtn = document.getElementById('paletteExportBtn');
+        this.imageDownloads = document.getElementById('imageDownloads');
+        this.encodedSizes = document.getElementById('encodedSizes');
+        this.qualityMetrics = document.getElementById('qualityMetrics');
+        this.heatmapToggle = document.getElementById('heatmapToggle');
+        this.showErrorMapInput = document.getElementById('showErrorMap');
+        this.sweepSection = document.getElementById('sweepSection');
+        this.sweepSummary = document.getElementById('sweepSummary');
+        this.sweepGrid = document.getElementById('sweepGrid');
+        this.compareSection = document.getElementById('compareSection');
+        this.compareTable = document.getElementById('compareTable');
+        this.historyToggle = document.getElementById('historyToggle');
+        this.historySidebar = document.getElementById('historySidebar');
+        this.historyStatus = document.getElementById('historyStatus');
+        this.historyCompareBtn = document.getElementById('historyCompareBtn');
+        this.historyList = document.getElementById('historyList');
+        this.batchSection = document.getElementById('batchSection');
+        this.batchSummary = document.getElementById('batchSummary');
+        this.batchPaletteModeSelect = document.getElementById('batchPaletteMode');
+        this.batchPaletteFormatSelect = document.getElementById('batchPaletteFormat');
+        this.batchProcessBtn = document.getElementById('batchProcessBtn');
+        this.batchDownloadBtn = document.getElementById('batchDownloadBtn');
+        this.batchGrid = document.getElementById('batchGrid');
         this.visualizationSection = document.getElementById('visualizationSection');
+        this.vizTitle = document.getElementById('vizTitle');
+        this.vizSpaceSelect = document.getElementById('vizSpace');
+        this.axisLabels = document.getElementById('axisLabels');
+        this.showVoronoiInput = document.getElementById('showVoronoi');
         this.canvasContainer = document.getElementById('canvas-container');
+        this.vizTimeline = document.getElementById('vizTimeline');
+        this.timelinePlayBtn = document.getElementById('timelinePlayBtn');
+        this.timelineStepInput = document.getElementById('timelineStep');
+        this.timelineLabel = document.getElementById('timelineLabel');
+        this.pointDensityInput = document.getElementById('pointDensity');
+        this.pointDensityValue = document.getElementById('pointDensityValue');
     }
 
     init3DScene() {
@@ -209,82 +346,74 @@ class ImageQuantizer {
         directionalLight.castShadow = true;
         this.scene.add(directionalLight);
         
-        // Create RGB cube and axes
-        this.createRGBCube();
-        this.createCoordinateAxes();
+        // Create the frame and axes of the plotted space
+        this.createSpaceFrame();
         
         // Start render loop
         this.animate();
     }
 
-    createRGBCube() {
-        const geometry = new THREE.BoxGeometry(2, 2, 2);
-        const edges = new THREE.EdgesGeometry(geometry);
-        const material = new THREE.LineBasicMaterial({ 
-            color: 0x888888, 
-            transparent: true, 
-            opacity: 0.3 
-        });
-        this.rgbCube = new THREE.LineSegments(edges, material);
-        this.rgbCube.position.set(1, 1, 1);
-        this.scene.add(this.rgbCube);
-    }
-
-    createCoordinateAxes() {
-        // X-axis (Red)
-        const xGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(2.5, 0, 0)
-        ]);
-        const xMaterial = new THREE.LineBasicMaterial({ color: 0xff0000, linewidth: 3 });
-        const xAxis = new THREE.Line(xGeometry, xMaterial);
-        this.scene.add(xAxis);
-        
-        // Y-axis (Green)
-        const yGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(0, 2.5, 0)
-        ]);
-        const yMaterial = new THREE.LineBasicMaterial({ color: 0x00ff00, linewidth: 3 });
-        const yAxis = new THREE.Line(yGeometry, yMaterial);
-        this.scene.add(yAxis);
-        
-        // Z-axis (Blue)
-        const zGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(0, 0, 2.5)
-        ]);
-        const zMaterial = new THREE.LineBasicMaterial({ color: 0x0000ff, linewidth: 3 });
-        const zAxis = new THREE.Line(zGeometry, zMaterial);
-        this.scene.add(zAxis);
-        
-        // Add arrow heads
-        this.addAxisArrows();
-    }
-
-    addAxisArrows() {
-        // X-axis arrow (Red)
-        const xArrowGeometry = new THREE.ConeGeometry(0.05, 0.2, 8);
-        const xArrowMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-        const xArrow = new THREE.Mesh(xArrowGeometry, xArrowMaterial);
-        xArrow.position.set(2.5, 0, 0);
-        xArrow.rotateZ(-Math.PI / 2);
-        this.scene.add(xArrow);
-        
-        // Y-axis arrow (Green)
-        const yArrowGeometry = new THREE.ConeGeometry(0.05, 0.2, 8);
-        const yArrowMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-        const yArrow = new THREE.Mesh(yArrowGeometry, yArrowMaterial);
-        yArrow.position.set(0, 2.5, 0);
-        this.scene.add(yArrow);
-        
-        // Z-axis arrow (Blue)
-        const zArrowGeometry = new THREE.ConeGeometry(0.05, 0.2, 8);
-        const zArrowMaterial = new THREE.MeshBasicMaterial({ color: 0x0000ff });
-        const zArrow = new THREE.Mesh(zArrowGeometry, zArrowMaterial);
-        zArrow.position.set(0, 0, 2.5);
-        zArrow.rotateX(Math.PI / 2);
-        this.scene.add(zArrow);
+    // Frame, axes and legend of the space the 3D view plots in
+    createSpaceFrame() {
+        const space = VizSpaces[this.vizSpaceSelect.value];
+        this.clearSpaceFrame();
+        
+        this.spaceFrame = new THREE.LineSegments(space.frame(), new THREE.LineBasicMaterial({
+            color: 0x888888,
+            transparent: true,
+            opacity: 0.3
+        }));
+        this.spaceFrame.visible = document.getElementById('showCube').checked;
+        this.scene.add(this.spaceFrame);
+        
+        // Each axis is a line with an arrow head at its end
+        const up = new THREE.Vector3(0, 1, 0);
+        space.axes.forEach(({ from, to, color }) => {
+            const start = new THREE.Vector3(...from);
+            const end = new THREE.Vector3(...to);
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([start, end]),
+                new THREE.LineBasicMaterial({ color, linewidth: 3 })
+            );
+            const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.05, 0.2, 8), new THREE.MeshBasicMaterial({ color }));
+            arrow.position.copy(end);
+            arrow.quaternion.setFromUnitVectors(up, end.clone().sub(start).normalize());
+            this.scene.add(line, arrow);
+            this.axisObjects.push(line, arrow);
+        });
+        
+        this.vizTitle.textContent = `3D ${space.name} Color Space Clustering`;
+        this.axisLabels.innerHTML = '';
+        space.legend.forEach(([background, text]) => {
+            const label = document.createElement('div');
+            label.className = 'axis-label';
+            const swatch = document.createElement('div');
+            swatch.className = 'axis-color';
+            swatch.style.background = background;
+            const description = document.createElement('span');
+            description.textContent = text;
+            label.append(swatch, description);
+            this.axisLabels.appendChild(label);
+        });
+    }
+
+    clearSpaceFrame() {
+        [this.spaceFrame, ...this.axisObjects].forEach(object => {
+            if (!object) return;
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.spaceFrame = null;
+        this.axisObjects = [];
+    }
+
+    // Scene position of an sRGB color in the plotted space
+    colorToScene(r, g, b) {
+        const space = VizSpaces[this.vizSpaceSelect.value];
+        const coordinates = [0, 0, 0];
+        ColorSpaces[space.space].fromRGB(Math.round(r), Math.round(g), Math.round(b), coordinates, 0);
+        return space.toScene(coordinates);
     }
 
     animate() {
@@ -309,64 +438,307 @@ class ImageQuantizer {
         // File upload
         this.imageUpload.addEventListener('change', (e) => this.handleFileUpload(e));
         
+        // Files dropped on the original image panel, or pasted anywhere. Other
+        // drags (e.g. palette swatches) are left to their own handlers.
+        this.originalContainer.addEventListener('dragover', (e) => {
+            if (!this.isFileDrag(e)) return;
+            e.preventDefault();
+            this.originalContainer.classList.add('drag-over');
+        });
+        this.originalContainer.addEventListener('dragleave', (e) => {
+            if (!this.originalContainer.contains(e.relatedTarget)) {
+                this.originalContainer.classList.remove('drag-over');
+            }
+        });
+        this.originalContainer.addEventListener('drop', (e) => {
+            if (!this.isFileDrag(e)) return;
+            e.preventDefault();
+            this.originalContainer.classList.remove('drag-over');
+            const files = Array.from(e.dataTransfer.files);
+            if (files.length === 0) {
+                this.setFileInfo('Only image files can be dropped here', true);
+                return;
+            }
+            this.openFiles(files, 'Dropped');
+        });
+        // A file dropped anywhere else would make the browser open it in
+        // place of the page, losing the session
+        document.addEventListener('dragover', (e) => {
+            if (this.isFileDrag(e)) e.preventDefault();
+        });
+        document.addEventListener('drop', (e) => {
+            if (!this.isFileDrag(e) || e.defaultPrevented) return;
+            e.preventDefault();
+            this.setFileInfo('Drop images on the Original Image panel to open them', true);
+        });
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+        
         // Cluster selection
         document.querySelectorAll('.cluster-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.selectClusterCount(e));
         });
         
+        // K sweep gallery
+        this.sweepBtn.addEventListener('click', () => this.sweepK());
+        
+        // Error heatmap in place of the quantized image
+        this.showErrorMapInput.addEventListener('change', () => this.updateQuantizedView());
+        
+        // Palette editing: recolor, split, undo and redo (merging is drag and drop on the swatches)
+        this.swatchColorPicker.addEventListener('change', () => this.recolorCluster(this.selectedCluster, this.swatchColorPicker.value));
+        this.splitClusterBtn.addEventListener('click', () => this.splitCluster(this.selectedCluster));
+        this.copyHexBtn.addEventListener('click', () => {
+            const swatch = this.colorPalette.children[this.selectedCluster];
+            this.copyHex(swatch, rgbToHex(this.quantizationResult.palette[this.selectedCluster]), this.selectedCluster + 1);
+        });
+        this.undoEditBtn.addEventListener('click', () => this.undoPaletteEdit());
+        this.redoEditBtn.addEventListener('click', () => this.redoPaletteEdit());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoPaletteEdit();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redoPaletteEdit();
+            }
+        });
+        
+        // Palette and image export
+        this.paletteExportBtn.addEventListener('click', () => this.exportPalette());
+        document.getElementById('maskExportBtn').addEventListener('click', () => this.exportMask());
+        document.getElementById('downloadPngBtn').addEventListener('click', () => this.downloadEncodedImage('png'));
+        document.getElementById('downloadGifBtn').addEventListener('click', () => this.downloadEncodedImage('gif'));
+        
         // Process button
         this.processBtn.addEventListener('click', () => this.processImage());
         
+        // Batch of several files
+        this.batchProcessBtn.addEventListener('click', () => this.processBatch());
+        this.batchDownloadBtn.addEventListener('click', () => this.downloadBatch());
+        
+        // Cancel button
+        this.cancelBtn.addEventListener('click', () => this.cancelProcessing());
+        
+        // Segmentation mode and its spatial weight
+        this.modeSelect.addEventListener('change', () => {
+            this.spatialWeightControl.style.display = this.modeSelect.value === 'segment' ? 'flex' : 'none';
+            this.updateColorOnlyOptions();
+        });
+        this.spatialWeightInput.addEventListener('input', () => {
+            this.spatialWeightValue.textContent = `${this.spatialWeightInput.value}%`;
+        });
+        
+        // Seed and restarts apply to algorithms that draw random seeds, batch
+        // size to mini-batch ones and the inertia gap to approximate ones
+        this.algorithmSelect.addEventListener('change', () => {
+            const { seeded, batched, approximates } = Algorithms[this.algorithmSelect.value];
+            this.seedControl.style.display = seeded ? 'grid' : 'none';
+            this.batchSizeControl.style.display = batched ? 'flex' : 'none';
+            this.compareReferenceControl.style.display = approximates ? 'flex' : 'none';
+            this.updateColorOnlyOptions();
+        });
+        
+        // Fixed or locked palette colors, typed in or imported from a .gpl file
+        this.paletteModeSelect.addEventListener('change', () => {
+            this.paletteConstraintControl.style.display = this.paletteModeSelect.value === 'fit' ? 'none' : 'flex';
+        });
+        this.paletteColorsInput.addEventListener('input', () => this.updatePalettePreview());
+        this.paletteFileInput.addEventListener('change', (e) => this.importPaletteFile(e.target.files[0]));
+        
+        // Dithering re-maps the last result without re-fitting
+        this.ditherModeSelect.addEventListener('change', () => this.reapplyDithering());
+        this.ditherStrengthInput.addEventListener('input', () => {
+            this.ditherStrengthValue.textContent = `${this.ditherStrengthInput.value}%`;
+        });
+        this.ditherStrengthInput.addEventListener('change', () => this.reapplyDithering());
+        
+        // Analysis and output sizes
+        this.analysisSizeInput.addEventListener('input', () => this.updateSizeInfo());
+        this.outputSizeInput.addEventListener('input', () => this.updateSizeInfo());
+        
         // Sample images
         document.querySelectorAll('.sample-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.loadSampleImage(e.target.dataset.sample));
         });
         
         // 3D visualization controls
-        document.getElementById('pointSize').addEventListener('input', () => this.update3DVisualization());
-        document.getElementById('showPoints').addEventListener('change', () => this.update3DVisualization());
-        document.getElementById('showConnections').addEventListener('change', () => this.update3DVisualization());
-        document.getElementById('showCentroids').addEventListener('change', () => this.update3DVisualization());
+        document.getElementById('pointSize').addEventListener('input', () => {
+            this.updatePointStyle();
+            this.updateCentroidLayer();
+        });
+        this.pointDensityInput.addEventListener('input', () => {
+            this.pointDensityValue.textContent = `${this.pointDensityInput.value}%`;
+        });
+        this.pointDensityInput.addEventListener('change', () => this.update3DVisualization());
+        document.getElementById('showPoints').addEventListener('change', () => this.updatePointStyle());
+        document.getElementById('showConnections').addEventListener('change', () => this.updatePointStyle());
+        document.getElementById('showCentroids').addEventListener('change', () => this.updateCentroidLayer());
+        document.getElementById('showTrails').addEventListener('change', () => this.updateCentroidLayer());
+        this.showVoronoiInput.addEventListener('change', () => this.updateCentroidLayer());
+        this.vizSpaceSelect.addEventListener('change', () => {
+            this.createSpaceFrame();
+            this.update3DVisualization();
+        });
+        this.timelineStepInput.addEventListener('input', () => {
+            this.stopTimeline();
+            this.setTimelineStep(parseInt(this.timelineStepInput.value));
+        });
+        this.timelinePlayBtn.addEventListener('click', () => this.toggleTimelinePlayback());
         document.getElementById('showCube').addEventListener('change', (e) => {
-            if (this.rgbCube) this.rgbCube.visible = e.target.checked;
+            if (this.spaceFrame) this.spaceFrame.visible = e.target.checked;
+        });
+        
+        // Run history, and the settings kept in the URL hash
+        this.historyToggle.addEventListener('click', () => this.historySidebar.classList.toggle('open'));
+        document.getElementById('historyClose').addEventListener('click', () => this.historySidebar.classList.remove('open'));
+        this.historyCompareBtn.addEventListener('click', () => this.compareRuns());
+        document.getElementById('compareCloseBtn').addEventListener('click', () => {
+            this.compareSection.style.display = 'none';
+        });
+        document.addEventListener('change', (e) => {
+            if (SETTING_CONTROLS.includes(e.target.id)) this.updateHash();
         });
+        window.addEventListener('hashchange', () => this.applySettings(this.readHashSettings()));
         
         // Window resize for 3D visualization
         window.addEventListener('resize', () => this.resizeVisualization());
     }
 
     handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        const files = Array.from(event.target.files);
+        if (files.length > 0) this.openFiles(files, 'Selected');
+    }
+
+    // Whether a drag carries files from outside the page
+    isFileDrag(event) {
+        return Boolean(event.dataTransfer) && Array.from(event.dataTransfer.types).includes('Files');
+    }
+
+    // Open an image pasted from the clipboard. Pastes into text fields are
+    // left to them, and pasted text is ignored.
+    handlePaste(event) {
+        if (event.target.closest && event.target.closest('input, textarea')) return;
+        const files = Array.from(event.clipboardData.files);
+        if (files.length === 0) return;
+        
+        event.preventDefault();
+        this.openFiles(files, 'Pasted');
+    }
+
+    // Open files from the file input, a drop or a paste: one as the original
+    // image, several as a batch
+    openFiles(files, source) {
+        if (files.length > 1) {
+            this.queueBatch(files);
+        } else {
+            this.openImageFile(files[0], source);
+        }
+    }
+
+    // Load an image file as the original image, or say in fileInfo why it
+    // cannot be opened
+    async openImageFile(file, source) {
+        this.setFileInfo(`Loading ${file.name}...`);
+        try {
+            const image = await this.decodeImageFile(file);
+            // A turned photo is kept as drawn upright
+            const dataURL = image instanceof HTMLCanvasElement ? image.toDataURL('image/jpeg', 0.95) : await this.readDataURL(file);
+            
+            this.setFileInfo(`${source}: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
+            this.imageName = file.name.replace(/\.[^.]+$/, '') || 'image';
+            this.originalFileSize = file.size;
+            
+            // Clear sample button states
+            document.querySelectorAll('.sample-btn').forEach(btn => {
+                btn.classList.remove('active');
+            });
+            await this.loadImageFromDataURL(dataURL);
+        } catch (error) {
+            this.setFileInfo(`${file.name}: ${error.message}`, true);
+        }
+    }
+
+    // Decode an image file upright, checking that it can be opened. JPEGs
+    // with an EXIF orientation are decoded with the tag reset, so every
+    // browser gives the stored pixels, and drawn turned onto a canvas; other
+    // files come back as decoded.
+    async decodeImageFile(file) {
+        if (file.type && !file.type.startsWith('image/')) {
+            throw new Error(`Not an image (${file.type})`);
+        }
+        if (file.size > MAX_FILE_SIZE) {
+            throw new Error(`The file is ${this.formatBytes(file.size)}; files up to ${this.formatBytes(MAX_FILE_SIZE)} can be opened`);
+        }
         
-        // Update file info
-        this.fileInfo.textContent = `Selected: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`;
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const tag = exifOrientation(bytes);
+        const orientation = tag ? EXIF_ORIENTATIONS[tag.value] : null;
+        if (orientation) new DataView(bytes.buffer).setUint16(tag.offset, 1, tag.littleEndian);
+        const img = await this.loadImageFile(orientation ? new Blob([bytes], { type: file.type }) : file);
+        if (!img.width || !img.height) {
+            throw new Error('The image has no pixel size (an SVG needs a width and height)');
+        }
+        if (img.width * img.height > MAX_IMAGE_PIXELS) {
+            throw new Error(`The image is ${img.width} × ${img.height} pixels; images up to ${MAX_IMAGE_PIXELS / 1e6} megapixels can be opened`);
+        }
+        if (!orientation) return img;
         
-        // Clear sample button states
-        document.querySelectorAll('.sample-btn').forEach(btn => {
-            btn.classList.remove('active');
+        const canvas = document.createElement('canvas');
+        canvas.width = orientation.swap ? img.height : img.width;
+        canvas.height = orientation.swap ? img.width : img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(...orientation.transform(img.width, img.height));
+        ctx.drawImage(img, 0, 0);
+        return canvas;
+    }
+
+    // The contents of a file as a data URL
+    readDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
         });
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.loadImageFromDataURL(e.target.result);
-        };
-        reader.readAsDataURL(file);
     }
 
+    // Show a message under the file input, in red for an error
+    setFileInfo(text, error = false) {
+        this.fileInfo.textContent = text;
+        this.fileInfo.classList.toggle('error', error);
+    }
+
+    // Show an image as the original, clearing the last result. Resolves with
+    // the image once it has loaded.
     loadImageFromDataURL(dataURL) {
-        const img = new Image();
-        img.onload = () => {
-            this.originalImage = img;
-            this.displayOriginalImage(img);
-            this.processBtn.disabled = false;
-            
-            // Clear previous quantized image
-            this.quantizedContainer.innerHTML = '<div class="image-placeholder">Click "Process Image" to generate quantized version</div>';
-            this.quantizedInfo.innerHTML = '';
-            this.colorPalette.style.display = 'none';
-        };
-        img.src = dataURL;
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                this.originalImage = img;
+                this.displayOriginalImage(img);
+                this.processBtn.disabled = false;
+                this.sweepBtn.disabled = false;
+                this.clearSweep();
+                
+                // Clear previous quantized image
+                this.quantizedContainer.innerHTML = '<div class="image-placeholder">Click "Process Image" to generate quantized version</div>';
+                this.quantizedStats.innerHTML = '';
+                this.qualityMetrics.innerHTML = '';
+                this.heatmapToggle.style.display = 'none';
+                this.colorPalette.style.display = 'none';
+                this.paletteEdit.style.display = 'none';
+                this.paletteExport.style.display = 'none';
+                this.maskExport.style.display = 'none';
+                this.imageDownloads.style.display = 'none';
+                this.clusterInfo.innerHTML = '';
+                this.paletteEdits = { done: [], undone: [] };
+                resolve(img);
+            };
+            img.onerror = () => reject(new Error('The image could not be read'));
+            img.src = dataURL;
+        });
     }
 
     displayOriginalImage(img) {
@@ -376,264 +748,1496 @@ class ImageQuantizer {
         imgElement.alt = 'Original Image';
         this.originalContainer.appendChild(imgElement);
         
+        this.updateSizeInfo();
+    }
+
+    updateSizeInfo() {
+        const img = this.originalImage;
+        if (!img) return;
+        
+        const analysis = scaledDimensions(img, this.getAnalysisSize());
+        const output = scaledDimensions(img, this.getOutputSize());
+        
         this.originalInfo.innerHTML = `
             <strong>Dimensions:</strong> ${img.width} × ${img.height} pixels<br>
-            <strong>Total Pixels:</strong> ${(img.width * img.height).toLocaleString()}
+            <strong>Total Pixels:</strong> ${(img.width * img.height).toLocaleString()}<br>
+            <strong>Analysis Size:</strong> ${analysis.width} × ${analysis.height} (${(analysis.width * analysis.height).toLocaleString()} pixels)<br>
+            <strong>Output Size:</strong> ${output.width} × ${output.height}
         `;
     }
 
+    // Longest side used for fitting centroids
+    getAnalysisSize() {
+        const size = parseInt(this.analysisSizeInput.value);
+        return size > 0 ? size : 300;
+    }
+
+    // Longest side of the quantized result; empty means original resolution
+    getOutputSize() {
+        const size = parseInt(this.outputSizeInput.value);
+        return size > 0 ? size : Infinity;
+    }
+
     selectClusterCount(event) {
+        this.setClusterCount(event.target.dataset.k);
+        this.updateHash();
+    }
+
+    // Select the cluster button of k (a number or 'auto'), if there is one
+    setClusterCount(k) {
+        const button = Array.from(document.querySelectorAll('.cluster-btn')).find(btn => btn.dataset.k === String(k));
+        if (!button) return;
+        
         document.querySelectorAll('.cluster-btn').forEach(btn => {
             btn.classList.remove('active');
         });
-        event.target.classList.add('active');
-        this.selectedK = parseInt(event.target.dataset.k);
+        button.classList.add('active');
+        this.selectedK = button.dataset.k === 'auto' ? 'auto' : parseInt(button.dataset.k);
     }
 
-    async processImage() {
-        if (!this.originalImage || this.isProcessing) return;
-        
-        this.isProcessing = true;
-        this.processBtn.disabled = true;
-        this.showProgress(true);
+    processImage() {
+        if (!this.originalImage) return;
         
-        try {
+        return this.runJob(async (jobId) => {
+            const savedSettings = this.getSettings();
+            
             // Extract pixels from image
             this.updateProgress(10, 'Extracting pixel data...');
-            const pixels = await this.extractPixels(this.originalImage);
-            this.originalPixels = pixels; // Store for 3D visualization
-            
-            // Perform K-means clustering
-            this.updateProgress(30, `Running K-means with ${this.selectedK} clusters...`);
-            const kmeans = new KMeans(this.selectedK);
-            this.kmeansResult = await this.runKMeansAsync(kmeans, pixels);
+            const analysis = await this.extractPixels(this.originalImage, this.getAnalysisSize());
+            const output = await this.extractPixels(this.originalImage, this.getOutputSize());
+            this.checkJob(jobId);
             
-            // Create quantized image
-            this.updateProgress(80, 'Creating quantized image...');
-            const quantizedImage = await this.createQuantizedImage(this.originalImage, this.kmeansResult);
-            
-            // Display results
-            this.updateProgress(90, 'Displaying results...');
-            this.displayQuantizedImage(quantizedImage, this.kmeansResult.centroids);
-            
-            // Show and update 3D visualization
-            this.updateProgress(95, 'Creating 3D visualization...');
-            this.show3DVisualization();
-            this.update3DVisualization();
-            
-            this.updateProgress(100, 'Complete!');
-            setTimeout(() => this.showProgress(false), 1000);
+            // Perform clustering
+            const settings = this.getQuantizeSettings();
+            const { algorithm, autoK, paletteConstraint } = settings;
+            if (paletteConstraint && paletteConstraint.mode === 'fixed') {
+                this.updateProgress(30, `Mapping onto ${paletteConstraint.colors.length} fixed colors...`);
+            } else {
+                this.updateProgress(30, autoK
+                    ? `Choosing K between ${autoK.min} and ${autoK.max}...`
+                    : `Running ${Algorithms[algorithm].label} with ${this.selectedK} clusters...`);
+            }
+            const job = { ...settings, analysis, output };
+            const quantizationResult = await this.runWorkerTask(jobId, 'quantize', job,
+                (message) => this.reportJobProgress(job, message));
+            if (this.sweep) {
+                this.sweep.active = null;
+                this.renderSweepGrid();
+            }
+            await this.showResult(jobId, analysis, output, quantizationResult);
             
-        } catch (error) {
-            console.error('Error processing image:', error);
-            this.processingText.textContent = 'Error processing image';
-            setTimeout(() => this.showProgress(false), 2000);
-        } finally {
-            this.isProcessing = false;
-            this.processBtn.disabled = false;
-        }
+            this.updateProgress(98, 'Saving to history...');
+            await this.saveRun(savedSettings);
+        });
     }
 
-    extractPixels(img) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+    // Make a quantization result the current one and draw everything that
+    // depends on it: the image, palette, chart, downloads, metrics and 3D view
+    async showResult(jobId, analysis, output, quantizationResult) {
+        this.analysis = analysis; // Store for 3D visualization
+        this.output = output;
+        this.quantizationResult = quantizationResult;
+        this.selectedCluster = null;
+        
+        // Re-map against the palette with the selected dithering
+        await this.ditherOutput(jobId);
+        
+        // Create quantized image
+        this.updateProgress(85, 'Creating quantized image...');
+        await this.renderQuantizedImage(jobId);
+        this.drawKSelectionChart(this.quantizationResult.kSelection);
+        await this.encodeOutput(jobId);
+        await this.measureQuality(jobId);
+        
+        // Show and update 3D visualization
+        this.updateProgress(95, 'Creating 3D visualization...');
+        this.show3DVisualization();
+        this.resetTimeline();
+        this.update3DVisualization();
+    }
+
+    // Fit every K from 2 (or the number of locked colors) up to the sweep
+    // maximum on the same analysis pixels, and show the results side by side.
+    // The tiles are mapped at analysis size; see activateSweepTile.
+    sweepK() {
+        if (!this.originalImage) return;
+        
+        return this.runJob(async (jobId) => {
+            // Tiles show no inertia gap, so there is no reference to fit
+            const settings = { ...this.getQuantizeSettings(), compareReference: false };
+            const { algorithm, paletteConstraint } = settings;
+            if (paletteConstraint && paletteConstraint.mode === 'fixed') {
+                throw new Error('A fixed palette has only one K; choose another palette mode to sweep');
+            }
+            const min = paletteConstraint ? Math.max(2, paletteConstraint.colors.length) : 2;
+            const max = Math.max(min, Math.min(64, parseInt(this.sweepMaxInput.value) || 12));
             
-            // Resize large images for better performance
-            let { width, height } = img;
-            const maxSize = 300;
+            this.updateProgress(5, 'Extracting pixel data...');
+            const analysis = await this.extractPixels(this.originalImage, this.getAnalysisSize());
+            this.checkJob(jobId);
+            this.clearSweep();
+            const sweep = { settings, analysis, tiles: [], active: null };
+            this.sweep = sweep;
+            this.sweepSection.style.display = 'block';
             
-            if (width > maxSize || height > maxSize) {
-                const ratio = Math.min(maxSize / width, maxSize / height);
-                width = Math.floor(width * ratio);
-                height = Math.floor(height * ratio);
+            for (let k = min; k <= max; k++) {
+                this.updateProgress(5 + 90 * (k - min) / (max - min + 1),
+                    `Sweeping K: fitting ${Algorithms[algorithm].label} with K=${k} (${k - min + 1}/${max - min + 1})...`);
+                const result = await this.runWorkerTask(jobId, 'quantize', { ...settings, k, autoK: null, analysis, output: analysis }, () => {});
+                const url = result.segmentLabels
+                    ? await this.createSegmentationImage(analysis, result.segmentLabels)
+                    : await this.createQuantizedImage(analysis, result.palette, result.outputLabels);
+                // Loading another image clears the sweep without stopping it
+                if (jobId !== this.jobCounter || this.sweep !== sweep) {
+                    URL.revokeObjectURL(url);
+                    throw new CancelledError(jobId !== this.jobCounter ? 'Replaced by a newer job' : undefined);
+                }
+                sweep.tiles.push({ k, seed: result.seed, url, palette: result.palette, inertia: result.inertia, fitTime: result.fitTime });
+                this.renderSweepGrid();
             }
+        });
+    }
+
+    // Forget the last sweep and hide its gallery
+    clearSweep() {
+        if (this.sweep) this.sweep.tiles.forEach(tile => URL.revokeObjectURL(tile.url));
+        this.sweep = null;
+        this.sweepSection.style.display = 'none';
+    }
+
+    // Redraw the sweep tiles: thumbnail, K, palette, inertia and fit time
+    renderSweepGrid() {
+        const { tiles, active } = this.sweep;
+        this.sweepGrid.innerHTML = '';
+        tiles.forEach((tile, index) => {
+            const element = document.createElement('div');
+            element.className = index === active ? 'sweep-tile active' : 'sweep-tile';
+            element.title = `Show K=${tile.k} as the main result`;
+            element.addEventListener('click', () => this.activateSweepTile(index));
             
-            canvas.width = width;
-            canvas.height = height;
-            ctx.drawImage(img, 0, 0, width, height);
+            const thumb = document.createElement('div');
+            thumb.className = 'sweep-thumb';
+            const img = document.createElement('img');
+            img.src = tile.url;
+            img.alt = `K=${tile.k}`;
+            thumb.appendChild(img);
             
-            const imageData = ctx.getImageData(0, 0, width, height);
-            const pixels = [];
+            const label = document.createElement('div');
+            label.className = 'sweep-k';
+            label.textContent = `K=${tile.k}`;
             
-            // Extract RGB values
-            for (let i = 0; i < imageData.data.length; i += 4) {
-                const r = imageData.data[i];
-                const g = imageData.data[i + 1];
-                const b = imageData.data[i + 2];
-                pixels.push([r, g, b]);
-            }
+            const status = document.createElement('div');
+            status.className = 'sweep-status';
+            status.textContent = `Inertia ${Math.round(tile.inertia).toLocaleString()} · ${Math.round(tile.fitTime)} ms`;
             
-            resolve(pixels);
+            element.append(thumb, label, this.createPaletteStrip(tile.palette, 'sweep-palette'), status);
+            this.sweepGrid.appendChild(element);
         });
+        
+        const { settings } = this.sweep;
+        this.sweepSummary.textContent = `${Algorithms[settings.algorithm].label} in ${ColorSpaces[settings.colorSpace].label}, `
+            + `K=${tiles[0].k} to ${tiles[tiles.length - 1].k} on ${this.sweep.analysis.width} × ${this.sweep.analysis.height} pixels. Click a result to show it in full.`;
     }
 
-    runKMeansAsync(kmeans, pixels) {
-        return new Promise((resolve) => {
-            // Use setTimeout to prevent blocking the UI
-            setTimeout(() => {
-                const result = kmeans.fit(pixels);
-                resolve(result);
-            }, 50);
+    // Show a sweep result in the main panels and the 3D view. Its fit is
+    // replayed with the same K and seed, which gives the same centroids, and
+    // every pixel of the output image is mapped to them.
+    activateSweepTile(index) {
+        const sweep = this.sweep;
+        if (!sweep || !this.originalImage || this.isProcessing) return;
+        
+        const tile = sweep.tiles[index];
+        return this.runJob(async (jobId) => {
+            this.updateProgress(10, 'Extracting pixel data...');
+            const output = await this.extractPixels(this.originalImage, this.getOutputSize());
+            this.checkJob(jobId);
+            
+            this.updateProgress(30, `Running ${Algorithms[sweep.settings.algorithm].label} with ${tile.k} clusters...`);
+            const job = { ...sweep.settings, k: tile.k, autoK: null, seed: tile.seed, analysis: sweep.analysis, output };
+            const quantizationResult = await this.runWorkerTask(jobId, 'quantize', job,
+                (message) => this.reportJobProgress(job, message));
+            sweep.active = index;
+            this.renderSweepGrid();
+            await this.showResult(jobId, sweep.analysis, output, quantizationResult);
         });
     }
 
-    createQuantizedImage(originalImg, kmeansResult) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+    // A row of swatches, one per palette color
+    createPaletteStrip(palette, className) {
+        const strip = document.createElement('div');
+        strip.className = className;
+        palette.forEach(color => {
+            const swatch = document.createElement('span');
+            swatch.style.backgroundColor = rgbToHex(color);
+            strip.appendChild(swatch);
+        });
+        return strip;
+    }
+
+    // PNG data URL of an image at most HISTORY_THUMBNAIL_SIZE on its longest side
+    createThumbnail(url) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const { width, height } = scaledDimensions(img, HISTORY_THUMBNAIL_SIZE);
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+                resolve(canvas.toDataURL('image/png'));
+            };
+            img.onerror = () => reject(new Error('The quantized image could not be read'));
+            img.src = url;
+        });
+    }
+
+    // Add the current result to the run history with the settings it was
+    // made with. A run that cannot be saved (no IndexedDB, storage full) is
+    // reported in the history panel; the result itself stands.
+    async saveRun(settings) {
+        const result = this.quantizationResult;
+        try {
+            const quality = result.quality;
+            const summary = {
+                time: Date.now(),
+                name: this.imageName,
+                fileSize: this.originalFileSize,
+                thumbnail: await this.createThumbnail(this.quantizedImageURL),
+                settings,
+                k: result.k,
+                algorithm: result.algorithm,
+                colorSpace: result.colorSpace,
+                palette: result.palette.map(color => color.slice(0, 3).map(Math.round)),
+                inertia: result.inertia,
+                fitTime: result.fitTime,
+                seed: result.seed,
+                nInit: result.nInit,
+                quality: quality && { psnr: quality.psnr, ssim: quality.ssim, deltaE: quality.deltaE }
+            };
+            await this.runHistory.add(summary, { source: this.originalImage.src, result });
+        } catch (error) {
+            console.error('Error saving run:', error);
+            this.historyStatus.textContent = `Could not save the run: ${error.message}`;
+            return;
+        }
+        await this.refreshHistory();
+    }
+
+    // List the saved runs, newest first, each with Restore, Delete and a
+    // checkbox to pick it for comparison
+    async refreshHistory() {
+        let runs;
+        try {
+            runs = await this.runHistory.list();
+        } catch (error) {
+            this.historyStatus.textContent = `History unavailable: ${error.message}`;
+            return;
+        }
+        this.historyRuns = runs;
+        this.compareIds = new Set(runs.filter(run => this.compareIds.has(run.id)).map(run => run.id));
+        this.historyStatus.textContent = runs.length === 0
+            ? 'Each processed image is saved here.'
+            : `${runs.length} saved run${runs.length === 1 ? '' : 's'}; the latest ${HISTORY_LIMIT} are kept.`;
+        
+        this.historyList.innerHTML = '';
+        runs.forEach(run => {
+            const entry = document.createElement('div');
+            entry.className = 'history-run';
             
-            // Use the same dimensions as processed
-            let { width, height } = originalImg;
-            const maxSize = 300;
+            const thumbnail = document.createElement('img');
+            thumbnail.src = run.thumbnail;
+            thumbnail.alt = run.name;
             
-            if (width > maxSize || height > maxSize) {
-                const ratio = Math.min(maxSize / width, maxSize / height);
-                width = Math.floor(width * ratio);
-                height = Math.floor(height * ratio);
-            }
+            const name = document.createElement('div');
+            name.className = 'history-run-name';
+            name.textContent = run.name;
+            name.title = run.name;
             
-            canvas.width = width;
-            canvas.height = height;
+            const algorithm = Algorithms[run.algorithm] ? Algorithms[run.algorithm].label : run.algorithm;
+            const info = document.createElement('div');
+            info.className = 'history-run-info';
+            info.textContent = `${new Date(run.time).toLocaleString()} · K=${run.k} · ${algorithm}`;
             
-            const imageData = ctx.createImageData(width, height);
-            const centroids = kmeansResult.centroids;
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            const compare = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.compareIds.has(run.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.compareIds.add(run.id);
+                else this.compareIds.delete(run.id);
+                this.historyCompareBtn.disabled = this.compareIds.size < 2;
+            });
+            compare.append(checkbox, ' Compare');
+            const restore = document.createElement('button');
+            restore.className = 'edit-btn';
+            restore.textContent = 'Restore';
+            restore.addEventListener('click', () => this.restoreRun(run.id));
+            const remove = document.createElement('button');
+            remove.className = 'edit-btn';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.deleteRun(run.id));
+            actions.append(compare, restore, remove);
             
-            // Create assignment map
-            const assignments = new Array(width * height);
-            kmeansResult.clusters.forEach((cluster, clusterIndex) => {
-                cluster.forEach(({ index }) => {
-                    assignments[index] = clusterIndex;
-                });
+            entry.append(thumbnail, name, info, this.createPaletteStrip(run.palette, 'history-palette'), actions);
+            this.historyList.appendChild(entry);
+        });
+        this.historyCompareBtn.disabled = this.compareIds.size < 2;
+    }
+
+    // Show a saved run again: its settings, its image and its result, drawn
+    // from the stored labels without refitting. Dithering and the quality
+    // metrics are recomputed from them.
+    restoreRun(id) {
+        return this.runJob(async (jobId) => {
+            this.updateProgress(10, 'Loading the saved run...');
+            const run = await this.runHistory.get(id);
+            this.checkJob(jobId);
+            if (!run) throw new Error('The run is no longer in the history');
+            
+            this.applySettings(run.settings);
+            this.updateHash();
+            document.querySelectorAll('.sample-btn').forEach(btn => {
+                btn.classList.remove('active');
             });
+            this.imageUpload.value = '';
+            this.setFileInfo(`Restored: ${run.name} (saved ${new Date(run.time).toLocaleString()})`);
+            this.imageName = run.name;
+            this.originalFileSize = run.fileSize;
+            const img = await this.loadImageFromDataURL(run.source);
+            this.checkJob(jobId);
             
-            // Apply centroid colors
-            for (let i = 0; i < assignments.length; i++) {
-                const clusterIndex = assignments[i];
-                const centroid = centroids[clusterIndex];
-                const pixelIndex = i * 4;
-                
-                imageData.data[pixelIndex] = Math.round(centroid[0]);     // R
-                imageData.data[pixelIndex + 1] = Math.round(centroid[1]); // G
-                imageData.data[pixelIndex + 2] = Math.round(centroid[2]); // B
-                imageData.data[pixelIndex + 3] = 255;                     // A
+            this.updateProgress(30, 'Extracting pixel data...');
+            const analysis = await this.extractPixels(img, this.getAnalysisSize());
+            const output = await this.extractPixels(img, this.getOutputSize());
+            const { result } = run;
+            if (result.labels.length !== analysis.width * analysis.height || result.outputLabels.length !== output.width * output.height) {
+                throw new Error('The saved labels do not match the size of the saved image');
             }
-            
-            ctx.putImageData(imageData, 0, 0);
-            resolve(canvas.toDataURL());
+            this.checkJob(jobId);
+            await this.showResult(jobId, analysis, output, result);
         });
     }
 
-    show3DVisualization() {
-        this.visualizationSection.style.display = 'block';
-        
-        // Add renderer to container if not already added
-        if (!this.canvasContainer.contains(this.renderer.domElement)) {
-            this.canvasContainer.appendChild(this.renderer.domElement);
+    async deleteRun(id) {
+        try {
+            await this.runHistory.delete(id);
+        } catch (error) {
+            this.historyStatus.textContent = `Could not delete the run: ${error.message}`;
+            return;
         }
+        await this.refreshHistory();
+    }
+
+    // Show the runs ticked in the history side by side, one column each, with
+    // the rows where they differ highlighted
+    compareRuns() {
+        const runs = this.historyRuns.filter(run => this.compareIds.has(run.id));
+        if (runs.length < 2) return;
+        
+        const label = (registry, id) => registry[id] ? registry[id].label : id;
+        const rows = {
+            'K': run => String(run.k),
+            'Algorithm': run => label(Algorithms, run.algorithm),
+            'Color space': run => label(ColorSpaces, run.colorSpace),
+            'Transparency': run => label(AlphaModes, run.settings.alphaMode),
+            'Palette': run => label(PaletteModes, run.settings.paletteMode),
+            'Dithering': run => run.settings.ditherMode === 'none' ? 'None'
+                : `${label(DitherModes, run.settings.ditherMode)} at ${run.settings.ditherStrength}%`,
+            'Mode': run => run.settings.mode === 'segment' ? `Segmentation (spatial weight ${run.settings.spatialWeight}%)` : 'Color quantization',
+            'Seed': run => run.seed === null ? 'n/a' : `${run.seed}${run.nInit > 1 ? ` (best of ${run.nInit})` : ''}`,
+            'Analysis size': run => `${run.settings.analysisSize || 300} px`,
+            'Output size': run => run.settings.outputSize ? `${run.settings.outputSize} px` : 'Original',
+            'Inertia': run => Math.round(run.inertia).toLocaleString(),
+            'Fit time': run => `${Math.round(run.fitTime)} ms`,
+            'PSNR': run => !run.quality ? 'n/a' : isFinite(run.quality.psnr) ? `${run.quality.psnr.toFixed(2)} dB` : '∞',
+            'SSIM': run => !run.quality || run.quality.ssim === null ? 'n/a' : run.quality.ssim.toFixed(4),
+            'ΔE 2000': run => !run.quality ? 'n/a' : `mean ${run.quality.deltaE.mean.toFixed(2)}, 95th percentile ${run.quality.deltaE.p95.toFixed(2)}`
+        };
         
-        // Resize to fit container
-        setTimeout(() => this.resizeVisualization(), 100);
+        const addRow = (heading, cells, differs = false) => {
+            const row = this.compareTable.insertRow();
+            if (differs) row.className = 'differs';
+            const th = document.createElement('th');
+            th.textContent = heading;
+            row.appendChild(th);
+            cells.forEach(cell => row.insertCell().append(cell));
+        };
+        this.compareTable.innerHTML = '';
+        addRow('', runs.map(run => `${run.name}, ${new Date(run.time).toLocaleString()}`));
+        addRow('Result', runs.map(run => {
+            const img = document.createElement('img');
+            img.src = run.thumbnail;
+            img.alt = run.name;
+            return img;
+        }));
+        addRow('Colors', runs.map(run => this.createPaletteStrip(run.palette, 'history-palette')));
+        Object.entries(rows).forEach(([heading, describe]) => {
+            const values = runs.map(describe);
+            addRow(heading, values, values.some(value => value !== values[0]));
+        });
+        
+        this.historySidebar.classList.remove('open');
+        this.compareSection.style.display = 'block';
+        this.compareSection.scrollIntoView({ behavior: 'smooth' });
     }
 
-    update3DVisualization() {
-        if (!this.kmeansResult || !this.originalPixels) return;
+    // Run an async pipeline as the current job. Starting a job replaces any job
+    // that is still in progress; the job owns the progress display and the
+    // Cancel button until it finishes, fails or is cancelled.
+    async runJob(work) {
+        this.cancelProcessing(true);
+        const jobId = ++this.jobCounter;
         
-        // Clear existing visualization
-        this.clearPoints();
-        this.clearCentroids();
-        this.clearConnections();
+        this.isProcessing = true;
+        this.cancelBtn.style.display = 'block';
+        this.showProgress(true);
         
-        const pointSize = parseFloat(document.getElementById('pointSize').value) * 0.01;
-        const showPoints = document.getElementById('showPoints').checked;
-        const showConnections = document.getElementById('showConnections').checked;
-        const showCentroids = document.getElementById('showCentroids').checked;
+        try {
+            await work(jobId);
+            
+            this.updateProgress(100, 'Complete!');
+            setTimeout(() => this.showProgress(false), 1000);
         
-        // Create points for each pixel, colored by original color
-        if (showPoints) {
-            const sampleRate = Math.max(1, Math.floor(this.originalPixels.length / 2000)); // Limit to ~2000 points for performance
+        } catch (error) {
+            // A replaced job leaves the progress display to its successor
+            if (jobId !== this.jobCounter) return;
             
-            for (let i = 0; i < this.originalPixels.length; i += sampleRate) {
-                const pixel = this.originalPixels[i];
-                const [r, g, b] = pixel.map(val => val / 255); // Normalize to 0-1
-                
-                // Find which cluster this pixel belongs to
-                let clusterIndex = 0;
-                let minDistance = Infinity;
-                
-                this.kmeansResult.centroids.forEach((centroid, index) => {
-                    const distance = Math.sqrt(
-                        Math.pow(pixel[0] - centroid[0], 2) +
-                        Math.pow(pixel[1] - centroid[1], 2) +
-                        Math.pow(pixel[2] - centroid[2], 2)
-                    );
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        clusterIndex = index;
-                    }
-                });
-                
-                // Create point
-                const geometry = new THREE.SphereGeometry(pointSize, 8, 8);
-                const material = new THREE.MeshBasicMaterial({ color: new THREE.Color(r, g, b) });
-                const mesh = new THREE.Mesh(geometry, material);
-                
-                // Position in RGB space (0-2 range for Three.js)
-                mesh.position.set(r * 2, g * 2, b * 2);
-                mesh.userData = { clusterIndex, originalColor: [r, g, b] };
-                
-                this.scene.add(mesh);
-                this.currentPoints.push(mesh);
-                
-                // Create connection line to centroid if enabled
-                if (showConnections) {
-                    const centroid = this.kmeansResult.centroids[clusterIndex];
-                    const [cr, cg, cb] = centroid.map(val => val / 255);
-                    
-                    const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-                        new THREE.Vector3(r * 2, g * 2, b * 2),
-                        new THREE.Vector3(cr * 2, cg * 2, cb * 2)
-                    ]);
-                    const lineMaterial = new THREE.LineBasicMaterial({ 
-                        color: 0x666666, 
-                        transparent: true, 
-                        opacity: 0.3 
-                    });
-                    const line = new THREE.Line(lineGeometry, lineMaterial);
-                    
-                    this.scene.add(line);
-                    this.connectionLines.push(line);
-                }
+            if (error instanceof CancelledError) {
+                this.processingText.textContent = 'Processing cancelled';
+            } else {
+                console.error('Error processing image:', error);
+                this.processingText.textContent = `Error processing image: ${error.message}`;
             }
-        }
-        
+            setTimeout(() => this.showProgress(false), 2000);
+        } finally {
+            if (jobId === this.jobCounter) {
+                this.isProcessing = false;
+                this.cancelBtn.style.display = 'none';
+            }
+        }
+    }
+
+    // Values of the shared controls and K: strings, or booleans for checkboxes
+    getSettings() {
+        const settings = { k: String(this.selectedK) };
+        SETTING_CONTROLS.forEach(id => {
+            const control = document.getElementById(id);
+            settings[id] = control.type === 'checkbox' ? control.checked : control.value;
+        });
+        return settings;
+    }
+
+    // Set the controls from settings as getSettings returns them or the URL
+    // hash holds them ('1' and '0' for checkboxes), firing the events of those
+    // that change so everything depending on them follows. Unknown keys, and
+    // values no option of a select matches, are ignored.
+    applySettings(settings) {
+        if (settings.k !== undefined) this.setClusterCount(settings.k);
+        SETTING_CONTROLS.forEach(id => {
+            const value = settings[id];
+            if (value === undefined) return;
+            
+            const control = document.getElementById(id);
+            if (control.type === 'checkbox') {
+                const checked = value === true || value === '1';
+                if (control.checked === checked) return;
+                control.checked = checked;
+            } else {
+                if (control.value === String(value)) return;
+                if (control.tagName === 'SELECT' && !Array.from(control.options).some(option => option.value === String(value))) return;
+                control.value = value;
+            }
+            control.dispatchEvent(new Event('input'));
+            control.dispatchEvent(new Event('change'));
+        });
+    }
+
+    // Settings from the URL hash over the defaults, so a link sets every control
+    readHashSettings() {
+        const settings = { ...this.defaultSettings };
+        new URLSearchParams(location.hash.slice(1)).forEach((value, key) => {
+            settings[key] = value;
+        });
+        return settings;
+    }
+
+    // Keep the settings that differ from the defaults in the URL hash, where
+    // a copied link carries them
+    updateHash() {
+        const params = new URLSearchParams();
+        Object.entries(this.getSettings()).forEach(([key, value]) => {
+            if (value === this.defaultSettings[key]) return;
+            params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : value);
+        });
+        const hash = params.toString();
+        history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+    }
+
+    // Color-only algorithms (Wu's) cannot segment, so while one is chosen
+    // segmentation mode is disabled, and the other way round. Quantized alpha
+    // only conflicts for images with transparency, which the job checks
+    // before fitting.
+    updateColorOnlyOptions() {
+        const colorOnly = Algorithms[this.algorithmSelect.value].colorOnly;
+        const segmenting = this.modeSelect.value === 'segment';
+        Array.from(this.algorithmSelect.options).forEach(option => {
+            option.disabled = segmenting && Algorithms[option.value].colorOnly;
+            option.title = option.disabled ? 'Clusters colors only: not available in segmentation mode' : '';
+        });
+        const segmentOption = this.modeSelect.querySelector('option[value="segment"]');
+        segmentOption.disabled = colorOnly;
+        segmentOption.title = colorOnly ? `Not available with ${Algorithms[this.algorithmSelect.value].label}, which clusters colors only` : '';
+    }
+
+    // Clustering settings from the controls, as runQuantizationJob takes them
+    // (without the images)
+    getQuantizeSettings() {
+        const autoK = this.selectedK === 'auto' ? AUTO_K_RANGE : null;
+        return {
+            k: autoK ? null : this.selectedK,
+            autoK,
+            alphaMode: this.alphaModeSelect.value,
+            colorSpace: this.colorSpaceSelect.value,
+            algorithm: this.algorithmSelect.value,
+            segmentation: this.getSegmentationSettings(),
+            paletteConstraint: this.getPaletteConstraint(),
+            ...this.getSeedSettings(),
+            batchSize: Math.max(16, parseInt(this.batchSizeInput.value) || 1024),
+            compareReference: this.compareReferenceInput.checked
+        };
+    }
+
+    // Settings for a segmentation run, or null in color quantization mode
+    getSegmentationSettings() {
+        if (this.modeSelect.value !== 'segment') return null;
+        
+        return { weight: parseInt(this.spatialWeightInput.value) / 100 };
+    }
+
+    // Seed for k-means++ (null to draw a new one), the number of runs and the
+    // number of pixels to seed on (null for all of them)
+    getSeedSettings() {
+        const seed = this.seedInput.value.trim() === '' ? null : Number(this.seedInput.value);
+        if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+            throw new Error('The seed must be a whole number from 0 to 4294967295');
+        }
+        const seedSample = this.seedSampleInput.value.trim() === '' ? null : Number(this.seedSampleInput.value);
+        if (seedSample !== null && !(Number.isInteger(seedSample) && seedSample > 0)) {
+            throw new Error('The seed sample must be a positive whole number of pixels');
+        }
+        return { seed, nInit: Math.max(1, parseInt(this.nInitInput.value) || 1), seedSample };
+    }
+
+    // Colors for a fixed or locked palette, or null when every color is fitted.
+    // Throws if the colors cannot be read.
+    getPaletteConstraint() {
+        const mode = this.paletteModeSelect.value;
+        if (mode === 'fit') return null;
+        
+        return { mode, colors: parsePaletteColors(this.paletteColorsInput.value) };
+    }
+
+    // Show the colors typed so far, or why they cannot be read
+    updatePalettePreview() {
+        this.palettePreview.innerHTML = '';
+        let colors;
+        try {
+            colors = parsePaletteColors(this.paletteColorsInput.value);
+        } catch (error) {
+            this.paletteColorsInfo.textContent = error.message;
+            return;
+        }
+        
+        this.paletteColorsInfo.textContent = colors.length === 0 ? 'No colors'
+            : `${colors.length} color${colors.length === 1 ? '' : 's'}`;
+        colors.forEach(color => {
+            const swatch = document.createElement('span');
+            swatch.style.backgroundColor = rgbToHex(color);
+            swatch.title = rgbToHex(color);
+            this.palettePreview.appendChild(swatch);
+        });
+    }
+
+    // Read a GIMP palette file into the colors field
+    async importPaletteFile(file) {
+        if (!file) return;
+        
+        this.paletteColorsInput.value = await file.text();
+        this.paletteFileInput.value = '';
+        this.updatePalettePreview();
+    }
+
+    // Throw if a newer job has replaced this one, so a pipeline stops at its next step
+    checkJob(jobId) {
+        if (jobId !== this.jobCounter) {
+            throw new CancelledError('Replaced by a newer job');
+        }
+    }
+
+    // Dither the output image against the current palette, storing the
+    // resulting labels (null when dithering is off). Segmentation results show
+    // the original image, so they are never dithered.
+    // New labels cannot be matched with earlier palette edits, so those can no
+    // longer be undone.
+    async ditherOutput(jobId) {
+        const mode = this.ditherModeSelect.value;
+        const strength = parseInt(this.ditherStrengthInput.value) / 100;
+        const result = this.quantizationResult;
+        result.quality = null; // Measured again once the new labels are drawn
+        this.paletteEdits = { done: [], undone: [] };
+        
+        if (mode === 'none' || result.segmentLabels) {
+            result.dither = { mode: 'none', strength };
+            result.ditheredLabels = null;
+            return;
+        }
+        
+        const { labels } = await this.runWorkerTask(jobId, 'dither', {
+            image: this.output,
+            palette: result.palette,
+            mode,
+            strength,
+            minAlpha: AlphaModes[result.alphaMode].minAlpha
+        }, () => this.updateProgress(80, `Dithering with ${DitherModes[mode].label}...`));
+        result.dither = { mode, strength };
+        result.ditheredLabels = labels;
+    }
+
+    // Re-render the last result when the dithering settings change. A full
+    // run in progress picks up the new settings by itself.
+    reapplyDithering() {
+        if (!this.quantizationResult || this.isProcessing || this.quantizationResult.segmentLabels) return;
+        
+        return this.runJob(async (jobId) => {
+            await this.ditherOutput(jobId);
+            this.updateProgress(90, 'Creating quantized image...');
+            await this.renderQuantizedImage(jobId);
+            await this.encodeOutput(jobId);
+            await this.measureQuality(jobId);
+        });
+    }
+
+    // Run a palette change as a job, unless a full run is in progress. Palette
+    // jobs replace each other, so edits can follow one another quickly.
+    runPaletteJob(work) {
+        const result = this.quantizationResult;
+        if (!result || result.segmentLabels) return;
+        if (this.isProcessing && this.jobCounter !== this.paletteEditJobId) return;
+        
+        return this.runJob(async (jobId) => {
+            this.paletteEditJobId = jobId;
+            await work(jobId);
+            
+            // Redraw everything that depends on the palette from the stored labels
+            this.updateProgress(85, 'Redrawing with the edited palette...');
+            await this.renderQuantizedImage(jobId);
+            await this.encodeOutput(jobId);
+            await this.measureQuality(jobId);
+            this.resetTimeline();
+            this.update3DVisualization();
+        });
+    }
+
+    // Make a new edit (makeEdit may run a worker task), apply it and record it for undo
+    editPalette(makeEdit) {
+        return this.runPaletteJob(async (jobId) => {
+            const edit = await makeEdit(jobId);
+            this.checkJob(jobId);
+            this.applyPaletteEdit(edit);
+            this.paletteEdits.done.push(edit);
+            this.paletteEdits.undone = [];
+        });
+    }
+
+    undoPaletteEdit() {
+        if (this.paletteEdits.done.length === 0) return;
+        
+        return this.runPaletteJob(() => {
+            const edit = this.paletteEdits.done.pop();
+            this.applyPaletteEdit(edit, true);
+            this.paletteEdits.undone.push(edit);
+        });
+    }
+
+    redoPaletteEdit() {
+        if (this.paletteEdits.undone.length === 0) return;
+        
+        return this.runPaletteJob(() => {
+            const edit = this.paletteEdits.undone.pop();
+            this.applyPaletteEdit(edit);
+            this.paletteEdits.done.push(edit);
+        });
+    }
+
+    // Give a cluster a new color (#rrggbb), keeping its alpha
+    recolorCluster(cluster, hex) {
+        if (cluster === null) return;
+        
+        return this.editPalette(() => {
+            const before = this.quantizationResult.palette[cluster];
+            const after = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).concat(before.slice(3));
+            return { type: 'recolor', cluster, before, after };
+        });
+    }
+
+    // Move the pixels of the source cluster into the target cluster, which keeps its color
+    mergeClusters(source, target) {
+        if (source === target) return;
+        
+        return this.editPalette(() => {
+            const result = this.quantizationResult;
+            const moved = {};
+            EDITED_LABELS.forEach(name => {
+                if (result[name]) moved[name] = clusterIndices(result[name], source);
+            });
+            this.selectedCluster = null;
+            return { type: 'merge', source, target, color: result.palette[source], moved };
+        });
+    }
+
+    // Split a cluster in two with a 2-means fit on its pixels (in the worker);
+    // the second half becomes a new cluster at the end of the palette
+    splitCluster(cluster) {
+        if (cluster === null) return;
+        
+        return this.editPalette(async (jobId) => {
+            const result = this.quantizationResult;
+            const split = await this.runWorkerTask(jobId, 'split', {
+                cluster,
+                analysis: this.analysis,
+                output: this.output,
+                labels: result.labels,
+                outputLabels: result.outputLabels,
+                ditheredLabels: result.ditheredLabels,
+                colorSpace: result.colorSpace,
+                quantizeAlpha: result.alphaMode === 'quantize' && result.hasAlpha
+            }, (message) => this.updateProgress(40, `Splitting cluster ${cluster + 1} (${message.pixelCount.toLocaleString()} pixels)...`));
+            return {
+                type: 'split',
+                cluster,
+                before: result.palette[cluster],
+                colors: split.colors,
+                moved: {
+                    labels: split.movedLabels,
+                    outputLabels: split.movedOutputLabels,
+                    ditheredLabels: split.movedDitheredLabels
+                }
+            };
+        });
+    }
+
+    // Apply a palette edit to the stored result, or reverse it. Edits change
+    // the palette and labels in place and carry the pixel indices they move,
+    // so undo needs no copies of the label arrays:
+    //   recolor { cluster, before, after }
+    //   merge { source, target, color, moved }: clusters after the source move down one index
+    //   split { cluster, before, colors, moved }: the moved pixels form a new last cluster
+    applyPaletteEdit(edit, undo = false) {
+        const result = this.quantizationResult;
+        const palette = result.palette;
+        const labelArrays = EDITED_LABELS.filter(name => result[name]).map(name => [result[name], edit.moved && edit.moved[name]]);
+        
+        if (edit.type === 'recolor') {
+            palette[edit.cluster] = undo ? edit.before : edit.after;
+        } else if (edit.type === 'merge') {
+            labelArrays.forEach(([labels, moved]) => {
+                if (undo) {
+                    for (let i = 0; i < labels.length; i++) {
+                        if (labels[i] >= edit.source) labels[i]++;
+                    }
+                    moved.forEach(p => { labels[p] = edit.source; });
+                } else {
+                    for (let i = 0; i < labels.length; i++) {
+                        if (labels[i] === edit.source) labels[i] = edit.target;
+                        if (labels[i] > edit.source) labels[i]--;
+                    }
+                }
+            });
+            if (undo) palette.splice(edit.source, 0, edit.color);
+            else palette.splice(edit.source, 1);
+        } else {
+            const added = undo ? palette.length - 1 : palette.length;
+            labelArrays.forEach(([labels, moved]) => {
+                moved.forEach(p => { labels[p] = undo ? edit.cluster : added; });
+            });
+            if (undo) {
+                palette.pop();
+                palette[edit.cluster] = edit.before;
+            } else {
+                palette[edit.cluster] = edit.colors[0];
+                palette.push(edit.colors[1]);
+            }
+        }
+        
+        if (this.selectedCluster !== null && this.selectedCluster >= palette.length) this.selectedCluster = null;
+        result.paletteEdited = true;
+    }
+
+    // Compare the displayed labels with the original output pixels and show
+    // MSE, PSNR, SSIM and CIEDE2000 ΔE
+    async measureQuality(jobId) {
+        const result = this.quantizationResult;
+        const quality = await this.runWorkerTask(jobId, 'metrics', {
+            image: this.output,
+            palette: result.palette,
+            labels: this.getOutputLabels()
+        }, () => this.updateProgress(94, 'Measuring quality...'));
+        this.checkJob(jobId);
+        result.quality = quality;
+        
+        this.qualityMetrics.innerHTML = `
+            <strong>MSE (sRGB):</strong> ${quality.mse.toFixed(2)}<br>
+            <strong>PSNR:</strong> ${isFinite(quality.psnr) ? `${quality.psnr.toFixed(2)} dB` : '∞'}<br>
+            <strong>SSIM:</strong> ${quality.ssim === null ? 'n/a' : quality.ssim.toFixed(4)}<br>
+            <strong>ΔE 2000:</strong> mean ${quality.deltaE.mean.toFixed(2)}, 95th percentile ${quality.deltaE.p95.toFixed(2)}
+        `;
+        this.heatmapToggle.style.display = 'flex';
+        this.updateQuantizedView();
+    }
+
+    // Show the quantized image, or the ΔE heatmap when it is switched on
+    async updateQuantizedView() {
+        const img = this.quantizedContainer.querySelector('img');
+        const result = this.quantizationResult;
+        if (!img || !result) return;
+        
+        if (!this.showErrorMapInput.checked || !result.quality) {
+            img.src = this.quantizedImageURL;
+            return;
+        }
+        if (!this.errorMapURL) {
+            this.errorMapURL = await this.createErrorMapImage(this.output, result.quality.errorMap, this.getOutputLabels());
+        }
+        img.src = this.errorMapURL;
+    }
+
+    // Heatmap of per-pixel ΔE (in tenths): black, red, yellow, then white at ΔE 25.5
+    createErrorMapImage({ width, height }, errorMap, labels) {
+        return new Promise((resolve) => {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            
+            canvas.width = width;
+            canvas.height = height;
+            
+            const imageData = ctx.createImageData(width, height);
+            for (let i = 0; i < errorMap.length; i++) {
+                if (labels[i] < 0) continue; // Transparent
+                const t = errorMap[i] / 255 * 3;
+                const pixelIndex = i * 4;
+                imageData.data[pixelIndex] = 255 * Math.min(1, t);
+                imageData.data[pixelIndex + 1] = 255 * Math.min(1, Math.max(0, t - 1));
+                imageData.data[pixelIndex + 2] = 255 * Math.min(1, Math.max(0, t - 2));
+                imageData.data[pixelIndex + 3] = 255;
+            }
+            
+            ctx.putImageData(imageData, 0, 0);
+            canvas.toBlob((blob) => resolve(URL.createObjectURL(blob)));
+        });
+    }
+
+    // Encode the displayed labels as PNG-8 and GIF and show their sizes.
+    // Segmentation results are shown over the original, so they have no
+    // indexed version.
+    async encodeOutput(jobId) {
+        const result = this.quantizationResult;
+        this.encodedImages = null;
+        if (result.segmentLabels) {
+            this.imageDownloads.style.display = 'none';
+            return;
+        }
+        
+        const encoded = await this.runWorkerTask(jobId, 'encode', {
+            width: this.output.width,
+            height: this.output.height,
+            palette: result.palette,
+            labels: this.getOutputLabels()
+        }, () => this.updateProgress(92, 'Encoding PNG-8 and GIF...'));
+        this.checkJob(jobId);
+        this.encodedImages = encoded;
+        
+        const original = this.originalFileSize;
+        const describe = (bytes) => {
+            if (!original) return this.formatBytes(bytes);
+            const change = Math.round((bytes / original - 1) * 100);
+            return `${this.formatBytes(bytes)} (${change > 0 ? '+' : ''}${change}% vs original)`;
+        };
+        this.encodedSizes.innerHTML = `
+            <strong>PNG-8:</strong> ${describe(encoded.png.length)} ·
+            <strong>GIF:</strong> ${describe(encoded.gif.length)}
+            ${original ? ` · <strong>Original file:</strong> ${this.formatBytes(original)}` : ''}
+        `;
+        this.imageDownloads.style.display = 'flex';
+    }
+
+    downloadEncodedImage(format) {
+        if (!this.encodedImages) return;
+        
+        this.downloadFile(this.encodedImages[format], `${this.imageName}-quantized.${format}`, `image/${format}`);
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    }
+
+    // Labels of the output image as displayed: dithered if enabled
+    getOutputLabels() {
+        const result = this.quantizationResult;
+        return result.ditheredLabels || result.outputLabels;
+    }
+
+    async renderQuantizedImage(jobId) {
+        const result = this.quantizationResult;
+        const quantizedImage = result.segmentLabels
+            ? await this.createSegmentationImage(this.output, result.segmentLabels)
+            : await this.createQuantizedImage(this.output, result.palette, this.getOutputLabels());
+        if (jobId !== this.jobCounter) {
+            URL.revokeObjectURL(quantizedImage);
+            throw new CancelledError('Replaced by a newer job');
+        }
+        this.displayQuantizedImage(quantizedImage, result.palette);
+    }
+
+    // Stop the running clustering job, if any. The worker is terminated
+    // outright, so a fresh one is created for the next job.
+    cancelProcessing(replaced = false) {
+        if (!this.currentJob) return;
+        
+        const { worker, reject } = this.currentJob;
+        this.currentJob = null;
+        if (worker) worker.terminate();
+        reject(new CancelledError(replaced ? 'Replaced by a newer job' : undefined));
+    }
+
+    // Draw the image at most maxSize pixels on its longest side and read back its RGB
+    // and alpha values
+    extractPixels(img, maxSize) {
+        return new Promise((resolve) => {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            
+            const { width, height } = scaledDimensions(img, maxSize);
+            
+            canvas.width = width;
+            canvas.height = height;
+            ctx.drawImage(img, 0, 0, width, height);
+            
+            resolve(splitRGBA(ctx.getImageData(0, 0, width, height).data, width, height));
+        });
+    }
+
+    // Run a task from WorkerTasks (quantize.js) in a dedicated worker, passing its
+    // progress messages to onProgress. Falls back to the main thread where workers
+    // are unavailable (e.g. file:// pages).
+    runWorkerTask(jobId, task, job, onProgress) {
+        return new Promise((resolve, reject) => {
+            const worker = this.createQuantizeWorker();
+            this.currentJob = { jobId, worker, reject };
+            
+            const finish = () => {
+                if (this.currentJob && this.currentJob.jobId === jobId) {
+                    this.currentJob = null;
+                }
+                if (worker) worker.terminate();
+            };
+            
+            if (!worker) {
+                // Use setTimeout to let the progress bar paint before blocking
+                setTimeout(() => {
+                    if (!this.currentJob || this.currentJob.jobId !== jobId) return;
+                    Promise.resolve()
+                        .then(() => WorkerTasks[task](job, onProgress))
+                        .then((result) => {
+                            finish();
+                            resolve(result);
+                        }, (error) => {
+                            finish();
+                            reject(error);
+                        });
+                }, 50);
+                return;
+            }
+            
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.jobId !== jobId) return;
+                
+                if (message.type === 'result') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                } else {
+                    onProgress(message);
+                }
+            };
+            
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                reject(new Error(event.message || 'Quantization worker failed'));
+            };
+            
+            worker.postMessage({ jobId, task, ...job });
+        });
+    }
+
+    createQuantizeWorker() {
+        if (typeof Worker === 'undefined') return null;
+        
+        try {
+            return new Worker('quantize-worker.js');
+        } catch (error) {
+            console.warn('Quantization worker unavailable, clustering on the main thread:', error);
+            return null;
+        }
+    }
+
+    // Map algorithm iterations onto the 30-75% band of the progress bar.
+    // Only K-means reports inertia and centroid movement.
+    reportJobProgress({ k, algorithm }, message) {
+        if (message.type === 'mapping') {
+            this.updateProgress(75, `Mapping ${message.pixelCount.toLocaleString()} pixels to ${k || 'the chosen'} colors...`);
+            return;
+        }
+        
+        if (message.type === 'segmenting') {
+            this.updateProgress(80, `Splitting ${message.pixelCount.toLocaleString()} pixels into connected segments...`);
+            return;
+        }
+        
+        if (message.type === 'reference') {
+            this.updateProgress(74, `Fitting ${Algorithms[message.algorithm].label} with ${message.k} clusters for comparison...`);
+            return;
+        }
+        
+        if (message.type === 'auto-k') {
+            this.updateProgress(30 + 45 * ((message.index - 1) / message.total),
+                `Choosing K: fitting ${Algorithms[algorithm].label} with K=${message.k} (${message.index}/${message.total})...`);
+            return;
+        }
+        
+        const { iteration, maxIterations, inertia, movement, run = 1, runs = 1 } = message;
+        const percent = 30 + 45 * (run - 1 + Math.min(1, iteration / maxIterations)) / runs;
+        let text = `Running ${Algorithms[algorithm].label} with ${k} clusters... ${runs > 1 ? `run ${run} of ${runs}, ` : ''}iteration ${iteration}`;
+        if (inertia !== undefined) {
+            text += `, inertia ${Math.round(inertia).toLocaleString()}, centroid movement ${movement.toFixed(2)}`;
+        }
+        this.updateProgress(percent, text);
+    }
+
+    // Render the output image from its per-pixel labels. Resolves with an object URL
+    // (a data URL of a full-resolution photo would be tens of megabytes).
+    // Label -1 is a transparent pixel; palette colors may carry their own alpha.
+    createQuantizedImage({ width, height }, palette, labels) {
+        return new Promise((resolve) => {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            
+            canvas.width = width;
+            canvas.height = height;
+            
+            const imageData = ctx.createImageData(width, height);
+            // Apply centroid colors
+            for (let i = 0; i < labels.length; i++) {
+                if (labels[i] < 0) continue; // Left at transparent black
+                const centroid = palette[labels[i]];
+                const pixelIndex = i * 4;
+                
+                imageData.data[pixelIndex] = Math.round(centroid[0]);     // R
+                imageData.data[pixelIndex + 1] = Math.round(centroid[1]); // G
+                imageData.data[pixelIndex + 2] = Math.round(centroid[2]); // B
+                imageData.data[pixelIndex + 3] = centroid.length > 3 ? Math.round(centroid[3]) : 255; // A
+            }
+            
+            ctx.putImageData(imageData, 0, 0);
+            canvas.toBlob((blob) => resolve(URL.createObjectURL(blob)));
+        });
+    }
+
+    // Draw the original output pixels with segment boundaries on top. Pixels in
+    // no segment (transparent) stay transparent.
+    createSegmentationImage({ pixels, alpha, width, height }, segmentLabels) {
+        return new Promise((resolve) => {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            
+            canvas.width = width;
+            canvas.height = height;
+            
+            const boundaries = segmentBoundaries(segmentLabels, width, height);
+            const imageData = ctx.createImageData(width, height);
+            for (let i = 0; i < boundaries.length; i++) {
+                const pixelIndex = i * 4;
+                if (boundaries[i]) {
+                    imageData.data[pixelIndex] = 255;
+                    imageData.data[pixelIndex + 1] = 235;
+                    imageData.data[pixelIndex + 2] = 59;
+                    imageData.data[pixelIndex + 3] = 255;
+                } else if (segmentLabels[i] >= 0) {
+                    imageData.data[pixelIndex] = pixels[i * 3];
+                    imageData.data[pixelIndex + 1] = pixels[i * 3 + 1];
+                    imageData.data[pixelIndex + 2] = pixels[i * 3 + 2];
+                    imageData.data[pixelIndex + 3] = alpha[i];
+                }
+            }
+            
+            ctx.putImageData(imageData, 0, 0);
+            canvas.toBlob((blob) => resolve(URL.createObjectURL(blob)));
+        });
+    }
+
+    show3DVisualization() {
+        this.visualizationSection.style.display = 'block';
+        
+        // Add renderer to container if not already added
+        if (!this.canvasContainer.contains(this.renderer.domElement)) {
+            this.canvasContainer.appendChild(this.renderer.domElement);
+        }
+        
+        // Resize to fit container
+        setTimeout(() => this.resizeVisualization(), 100);
+    }
+
+    // Rebuild the point cloud of the analysis pixels at the chosen density:
+    // one THREE.Points colored by each pixel's original color and placed in
+    // the RGB cube, and one LineSegments joining every point to its cluster's
+    // centroid. Display options then only change materials and attributes.
+    update3DVisualization() {
+        if (!this.quantizationResult || !this.analysis) return;
+        
+        // Clear existing visualization
+        this.clearPoints();
+        this.clearConnections();
+        
+        // Sampled pixels that were clustered; transparent pixels were not
+        const labels = this.quantizationResult.labels;
+        const pixels = this.analysis.pixels;
+        const density = parseInt(this.pointDensityInput.value);
+        const stride = Math.max(1, Math.round(100 / density));
+        const sampled = [];
+        for (let i = 0; i < labels.length; i += stride) {
+            if (labels[i] >= 0) sampled.push(i);
+        }
+        
+        const positions = new Float32Array(sampled.length * 3);
+        const colors = new Float32Array(sampled.length * 3);
+        sampled.forEach((p, s) => {
+            positions.set(this.colorToScene(pixels[p * 3], pixels[p * 3 + 1], pixels[p * 3 + 2]), s * 3);
+            for (let j = 0; j < 3; j++) {
+                colors[s * 3 + j] = pixels[p * 3 + j] / 255; // Normalize to 0-1
+            }
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        this.pointCloud = new THREE.Points(geometry, new THREE.PointsMaterial({ vertexColors: true }));
+        this.scene.add(this.pointCloud);
+        
+        // Each segment starts at its point; the centroid ends are filled in by updateCentroidLayer
+        const linePositions = new Float32Array(sampled.length * 6);
+        sampled.forEach((p, s) => linePositions.set(positions.subarray(s * 3, s * 3 + 3), s * 6));
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.BufferAttribute(linePositions, 3));
+        this.connectionLines = new THREE.LineSegments(lineGeometry, new THREE.LineBasicMaterial({
+            color: 0x666666,
+            transparent: true,
+            opacity: 0.3
+        }));
+        this.connectionLabels = Int32Array.from(sampled, p => labels[p]);
+        this.scene.add(this.connectionLines);
+        
+        this.pointDensityValue.textContent = `${density}%`;
+        this.pointDensityValue.title = `${sampled.length.toLocaleString()} points`;
+        this.updatePointStyle();
+        this.updateCentroidLayer();
+    }
+
+    // Radius of a data point in scene units, from the Point Size control
+    getPointSize() {
+        return parseFloat(document.getElementById('pointSize').value) * 0.01;
+    }
+
+    // Point size and visibility of the points and connections
+    updatePointStyle() {
+        if (!this.pointCloud) return;
+        
+        const showPoints = document.getElementById('showPoints').checked;
+        this.pointCloud.material.size = this.getPointSize() * 2;
+        this.pointCloud.visible = showPoints;
+        this.connectionLines.visible = showPoints && document.getElementById('showConnections').checked;
+    }
+
+    // Centroids, their trails, their Voronoi cells and the centroid ends of
+    // the connections at the timeline step shown. Points keep their final
+    // cluster, so connections show where each point ends up.
+    updateCentroidLayer() {
+        if (!this.quantizationResult) return;
+        
+        this.clearCentroids();
+        this.clearTrails();
+        this.clearVoronoi();
+        
+        const history = this.getTimeline();
+        const palette = this.timelineStep === null ? this.quantizationResult.palette : history[this.timelineStep].palette;
+        const centers = palette.map(([r, g, b]) => this.colorToScene(r, g, b));
+        
+        if (this.connectionLines) {
+            const ends = this.connectionLines.geometry.attributes.position;
+            this.connectionLabels.forEach((label, s) => ends.array.set(centers[label], s * 6 + 3));
+            ends.needsUpdate = true;
+        }
+        
         // Create centroid visualizations if enabled
-        if (showCentroids) {
-            this.kmeansResult.centroids.forEach((centroid, index) => {
+        if (document.getElementById('showCentroids').checked) {
+            palette.forEach((centroid, index) => {
                 const [r, g, b] = centroid.map(val => val / 255);
                 
                 // Large sphere for centroid
-                const geometry = new THREE.SphereGeometry(pointSize * 3, 16, 16);
+                const geometry = new THREE.SphereGeometry(this.getPointSize() * 3, 16, 16);
                 const material = new THREE.MeshLambertMaterial({ 
                     color: new THREE.Color(r, g, b),
                     emissive: new THREE.Color(r * 0.2, g * 0.2, b * 0.2)
                 });
                 const mesh = new THREE.Mesh(geometry, material);
-                mesh.position.set(r * 2, g * 2, b * 2);
+                mesh.position.set(...centers[index]);
                 
                 this.scene.add(mesh);
                 this.centroidMeshes.push(mesh);
             });
         }
+        
+        if (document.getElementById('showTrails').checked && history) {
+            this.drawTrails(history, this.quantizationResult.palette);
+        }
+        
+        // Segmentation centroids include pixel positions, so they have no cells in color space alone
+        if (this.showVoronoiInput.checked && !this.quantizationResult.segmentLabels) {
+            this.drawVoronoi(palette);
+        }
     }
 
-    clearPoints() {
-        this.currentPoints.forEach(point => {
-            this.scene.remove(point);
-            point.geometry.dispose();
-            point.material.dispose();
+    // Path of every centroid from its seed to the step shown, in its final color
+    drawTrails(history, palette) {
+        const lastStep = this.timelineStep === null ? history.length - 1 : this.timelineStep;
+        if (lastStep === 0) return;
+        
+        palette.forEach((color, index) => {
+            const points = history.slice(0, lastStep + 1).map(step => {
+                const [r, g, b] = step.palette[index];
+                return new THREE.Vector3(...this.colorToScene(r, g, b));
+            });
+            const [r, g, b] = color.map(val => val / 255);
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color: new THREE.Color(r, g, b), transparent: true, opacity: 0.8 })
+            );
+            this.scene.add(line);
+            this.trailLines.push(line);
         });
-        this.currentPoints = [];
+    }
+
+    // Translucent boundaries between the Voronoi cells of the palette colors.
+    // The sRGB gamut is sampled on a VORONOI_GRID³ grid, each sample takes the
+    // nearest color in the clustering space (alpha left out), and a face is
+    // drawn between neighbouring samples of different cells, tinted with the
+    // mean of the two colors.
+    drawVoronoi(palette) {
+        const n = VORONOI_GRID;
+        const samples = this.getVoronoiSamples();
+        const space = ColorSpaces[this.quantizationResult.colorSpace];
+        const centroids = palette.map(color => {
+            const out = [0, 0, 0];
+            space.fromRGB(...color.slice(0, 3).map(value => Math.round(value)), out, 0);
+            return out;
+        });
+        
+        const cells = new Int32Array(n * n * n);
+        for (let i = 0; i < cells.length; i++) {
+            let best = 0;
+            let bestDistance = Infinity;
+            centroids.forEach((centroid, c) => {
+                const d0 = samples[i * 3] - centroid[0];
+                const d1 = samples[i * 3 + 1] - centroid[1];
+                const d2 = samples[i * 3 + 2] - centroid[2];
+                const distance = d0 * d0 + d1 * d1 + d2 * d2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = c;
+                }
+            });
+            cells[i] = best;
+        }
+        
+        // A face between two samples spans the four grid corners around their midpoint
+        const corners = this.getVoronoiCorners();
+        const corner = (ci, cj, ck) => ((ci * (n + 1) + cj) * (n + 1) + ck) * 3;
+        const positions = [];
+        const colors = [];
+        const addFace = (a, b, quad) => {
+            const tint = [0, 1, 2].map(j => (palette[a][j] + palette[b][j]) / 510);
+            [0, 1, 2, 0, 2, 3].forEach(v => {
+                positions.push(corners[quad[v]], corners[quad[v] + 1], corners[quad[v] + 2]);
+                colors.push(...tint);
+            });
+        };
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                for (let k = 0; k < n; k++) {
+                    const index = (i * n + j) * n + k;
+                    const cell = cells[index];
+                    if (i < n - 1 && cells[index + n * n] !== cell) {
+                        addFace(cell, cells[index + n * n], [corner(i + 1, j, k), corner(i + 1, j + 1, k), corner(i + 1, j + 1, k + 1), corner(i + 1, j, k + 1)]);
+                    }
+                    if (j < n - 1 && cells[index + n] !== cell) {
+                        addFace(cell, cells[index + n], [corner(i, j + 1, k), corner(i + 1, j + 1, k), corner(i + 1, j + 1, k + 1), corner(i, j + 1, k + 1)]);
+                    }
+                    if (k < n - 1 && cells[index + 1] !== cell) {
+                        addFace(cell, cells[index + 1], [corner(i, j, k + 1), corner(i + 1, j, k + 1), corner(i + 1, j + 1, k + 1), corner(i, j + 1, k + 1)]);
+                    }
+                }
+            }
+        }
+        if (positions.length === 0) return;
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        this.voronoiMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.2,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        this.scene.add(this.voronoiMesh);
+    }
+
+    // Grid samples of the sRGB gamut in the clustering space, three values
+    // per sample with blue varying fastest
+    getVoronoiSamples() {
+        const colorSpace = this.quantizationResult.colorSpace;
+        if (this.voronoiSamples && this.voronoiSamples.colorSpace === colorSpace) return this.voronoiSamples.features;
+        
+        const n = VORONOI_GRID;
+        const level = (i) => Math.round(i * 255 / (n - 1));
+        const features = new Float32Array(n * n * n * 3);
+        const out = [0, 0, 0];
+        for (let i = 0, s = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                for (let k = 0; k < n; k++, s++) {
+                    ColorSpaces[colorSpace].fromRGB(level(i), level(j), level(k), out, 0);
+                    features.set(out, s * 3);
+                }
+            }
+        }
+        this.voronoiSamples = { colorSpace, features };
+        return features;
+    }
+
+    // Scene positions of the corners between grid samples, half a step
+    // before each sample and clamped to the gamut, in the plotted space
+    getVoronoiCorners() {
+        const vizSpace = this.vizSpaceSelect.value;
+        if (this.voronoiCorners && this.voronoiCorners.vizSpace === vizSpace) return this.voronoiCorners.positions;
+        
+        const n = VORONOI_GRID;
+        const level = (c) => Math.min(255, Math.max(0, (c - 0.5) * 255 / (n - 1)));
+        const positions = new Float32Array((n + 1) ** 3 * 3);
+        for (let i = 0, s = 0; i <= n; i++) {
+            for (let j = 0; j <= n; j++) {
+                for (let k = 0; k <= n; k++, s++) {
+                    positions.set(this.colorToScene(level(i), level(j), level(k)), s * 3);
+                }
+            }
+        }
+        this.voronoiCorners = { vizSpace, positions };
+        return positions;
+    }
+
+    // K-means steps of the current result, or null when there are none to
+    // show: other algorithms record none, and palette edits leave the steps behind
+    getTimeline() {
+        const result = this.quantizationResult;
+        return result && result.history && !result.paletteEdited ? result.history : null;
+    }
+
+    // Show the final step of a new result on the timeline, or hide the
+    // timeline when there are no steps
+    resetTimeline() {
+        this.stopTimeline();
+        this.timelineStep = null;
+        const history = this.getTimeline();
+        this.vizTimeline.style.display = history ? 'flex' : 'none';
+        if (!history) return;
+        
+        this.timelineStepInput.max = history.length - 1;
+        this.timelineStepInput.value = history.length - 1;
+        this.updateTimelineLabel();
+    }
+
+    setTimelineStep(step) {
+        const history = this.getTimeline();
+        if (!history) return;
+        
+        this.timelineStep = step >= history.length - 1 ? null : step;
+        this.timelineStepInput.value = step;
+        this.updateTimelineLabel();
+        this.updateCentroidLayer();
+    }
+
+    updateTimelineLabel() {
+        const history = this.getTimeline();
+        const step = this.timelineStep === null ? history.length - 1 : this.timelineStep;
+        if (step === 0) {
+            this.timelineLabel.textContent = `Seeds (${Algorithms[this.quantizationResult.algorithm].label})`;
+            this.timelineLabel.title = '';
+            return;
+        }
+        
+        const { counts, inertia } = history[step];
+        this.timelineLabel.textContent = `Iteration ${step} of ${history.length - 1} · inertia ${Math.round(inertia).toLocaleString()}`;
+        this.timelineLabel.title = `Cluster sizes: ${counts.map(count => count.toLocaleString()).join(', ')}`;
+    }
+
+    // Play the steps from the seeds (or from the step shown, if paused
+    // partway) to convergence; pause if already playing
+    toggleTimelinePlayback() {
+        if (this.timelineTimer) {
+            this.stopTimeline();
+            return;
+        }
+        const history = this.getTimeline();
+        if (!history) return;
+        
+        let step = this.timelineStep === null ? 0 : this.timelineStep;
+        this.setTimelineStep(step);
+        this.timelinePlayBtn.textContent = '❚❚';
+        this.timelineTimer = setInterval(() => {
+            step++;
+            this.setTimelineStep(step);
+            if (step >= history.length - 1) this.stopTimeline();
+        }, TIMELINE_STEP_MS);
+    }
+
+    stopTimeline() {
+        clearInterval(this.timelineTimer);
+        this.timelineTimer = null;
+        this.timelinePlayBtn.textContent = '▶';
+    }
+
+    clearPoints() {
+        if (!this.pointCloud) return;
+        
+        this.scene.remove(this.pointCloud);
+        this.pointCloud.geometry.dispose();
+        this.pointCloud.material.dispose();
+        this.pointCloud = null;
     }
 
     clearCentroids() {
@@ -645,45 +2249,625 @@ class ImageQuantizer {
         this.centroidMeshes = [];
     }
 
-    clearConnections() {
-        this.connectionLines.forEach(line => {
+    clearTrails() {
+        this.trailLines.forEach(line => {
             this.scene.remove(line);
             line.geometry.dispose();
             line.material.dispose();
         });
-        this.connectionLines = [];
+        this.trailLines = [];
+    }
+
+    clearVoronoi() {
+        if (!this.voronoiMesh) return;
+        
+        this.scene.remove(this.voronoiMesh);
+        this.voronoiMesh.geometry.dispose();
+        this.voronoiMesh.material.dispose();
+        this.voronoiMesh = null;
     }
 
-    displayQuantizedImage(imageDataURL, centroids) {
+    clearConnections() {
+        if (!this.connectionLines) return;
+        
+        this.scene.remove(this.connectionLines);
+        this.connectionLines.geometry.dispose();
+        this.connectionLines.material.dispose();
+        this.connectionLines = null;
+        this.connectionLabels = null;
+    }
+
+    displayQuantizedImage(imageURL, palette) {
+        if (this.quantizedImageURL) URL.revokeObjectURL(this.quantizedImageURL);
+        this.quantizedImageURL = imageURL;
+        
+        // Metrics and the heatmap belong to the previous image until measured again
+        if (this.errorMapURL) URL.revokeObjectURL(this.errorMapURL);
+        this.errorMapURL = null;
+        this.qualityMetrics.innerHTML = '';
+        this.heatmapToggle.style.display = 'none';
+        
+        // Cluster shares and highlights follow the displayed labels
+        this.clusterEntries = null;
+        this.highlightMap = null;
+        this.highlightedCluster = null;
+        this.clusterInfo.innerHTML = '';
+        
         this.quantizedContainer.innerHTML = '';
         const imgElement = document.createElement('img');
-        imgElement.src = imageDataURL;
+        imgElement.src = imageURL;
         imgElement.alt = 'Quantized Image';
+        imgElement.addEventListener('mousemove', (e) => this.highlightPixelCluster(e, imgElement));
+        imgElement.addEventListener('mouseleave', () => this.clearHighlight());
         this.quantizedContainer.appendChild(imgElement);
+        this.highlightCanvas = document.createElement('canvas');
+        this.highlightCanvas.className = 'cluster-highlight';
+        this.quantizedContainer.appendChild(this.highlightCanvas);
         
         // Display color palette
-        this.displayColorPalette(centroids);
-        
-        this.quantizedInfo.innerHTML = `
-            <strong>Clusters:</strong> ${this.selectedK}<br>
-            <strong>Colors Used:</strong> ${centroids.length}<br>
-            <strong>Algorithm:</strong> K-means clustering
+        this.displayColorPalette(palette);
+        
+        const result = this.quantizationResult;
+        const spaceLabel = ColorSpaces[result.colorSpace].label;
+        const transparency = result.hasAlpha
+            ? `<strong>Transparency:</strong> ${AlphaModes[result.alphaMode].label}, ${result.transparentCount.toLocaleString()} transparent pixels<br>`
+            : '';
+        const paletteStats = result.paletteMode === 'fit' ? ''
+            : `<strong>Palette:</strong> ${PaletteModes[result.paletteMode].label}, ${result.fixedCount} given color${result.fixedCount === 1 ? '' : 's'}<br>`;
+        // How much worse an approximate fit is than the algorithm it
+        // approximates; the comparison is opt-in, as it costs a full fit
+        const approximates = result.paletteMode === 'fixed' ? null : Algorithms[result.algorithm].approximates;
+        let referenceStats = '';
+        if (result.reference) {
+            referenceStats = `<strong>Inertia vs ${Algorithms[result.reference.algorithm].label}:</strong> ${formatInertiaGap(result)} (${Math.round(result.reference.fitTime).toLocaleString()} ms to fit)<br>`;
+        } else if (approximates) {
+            referenceStats = `<strong>Inertia vs ${Algorithms[approximates].label}:</strong> not compared (tick Inertia gap: Compare to fit it too)<br>`;
+        }
+        const seedStats = result.seed === null ? ''
+            : `<strong>Seed:</strong> ${result.seed}${result.nInit > 1 ? ` (best of ${result.nInit} runs: run ${result.bestRun})` : ''} <button class="reuse-seed" title="Put this seed in the Seed field to replay the run">Reuse</button><br>`;
+        // Segmentation clusters on color and position, so its error includes both
+        const modeStats = result.segmentLabels
+            ? `<strong>Segments:</strong> ${result.segmentCount.toLocaleString()}<br>
+            <strong>Spatial Weight:</strong> ${Math.round(result.spatialWeight * 100)}%<br>`
+            : `<strong>Dithering:</strong> ${DitherModes[result.dither.mode].label}${result.dither.mode === 'none' ? '' : ` (${Math.round(result.dither.strength * 100)}%)`}<br>`;
+        this.quantizedStats.innerHTML = `
+            <strong>Clusters:</strong> ${result.k}${result.kSelection ? ' (chosen automatically)' : ''}<br>
+            <strong>Colors Used:</strong> ${palette.length}<br>
+            <strong>Output Size:</strong> ${this.output.width} × ${this.output.height}<br>
+            <strong>Color Space:</strong> ${spaceLabel}<br>
+            <strong>Algorithm:</strong> ${result.paletteMode === 'fixed' ? 'Nearest given color' : Algorithms[result.algorithm].label}<br>
+            ${paletteStats}
+            ${transparency}
+            ${modeStats}
+            ${seedStats}
+            <strong>Fit Time:</strong> ${Math.round(result.fitTime).toLocaleString()} ms (${result.iterations} iterations)<br>
+            <strong>Mean Squared Error:</strong> ${(result.inertia / result.clusteredCount).toFixed(2)} (in ${spaceLabel}${result.segmentLabels ? ' + position' : ''}${result.paletteEdited ? ', before palette edits' : ''})<br>
+            ${referenceStats}
         `;
+        
+        const reuseSeedBtn = this.quantizedStats.querySelector('.reuse-seed');
+        if (reuseSeedBtn) {
+            reuseSeedBtn.addEventListener('click', () => {
+                this.seedInput.value = result.seed;
+                this.nInitInput.value = result.nInit;
+            });
+        }
     }
 
-    displayColorPalette(centroids) {
+    // Palette colors are sRGB, already converted back from the clustering space.
+    // Clicking a swatch selects it and opens a color picker to recolor it, and
+    // dropping one swatch on another merges the two. Segmentation results are
+    // not drawn in palette colors, so there a click just copies the hex code.
+    displayColorPalette(palette) {
+        const result = this.quantizationResult;
+        const editable = !result.segmentLabels;
         this.colorPalette.innerHTML = '';
         this.colorPalette.style.display = 'flex';
+        this.paletteExport.style.display = 'flex';
+        this.paletteEdit.style.display = editable ? 'flex' : 'none';
         
-        centroids.forEach((centroid, index) => {
-            const [r, g, b] = centroid.map(val => Math.round(val));
+        palette.forEach((centroid, index) => {
+            const [r, g, b, a = 255] = centroid.map(val => Math.round(val));
+            const hex = rgbToHex(centroid);
             const swatch = document.createElement('div');
             swatch.className = 'color-swatch';
-            swatch.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
-            swatch.title = `Cluster ${index + 1}: RGB(${r}, ${g}, ${b})`;
+            const fixed = !result.paletteEdited && index < result.fixedCount;
+            swatch.style.backgroundColor = `rgba(${r}, ${g}, ${b}, ${a / 255})`;
             swatch.textContent = index + 1;
+            swatch.addEventListener('mouseenter', () => this.highlightCluster(index));
+            swatch.addEventListener('mouseleave', () => this.clearHighlight());
+            
+            if (!editable) {
+                swatch.title = `Cluster ${index + 1}: RGB(${r}, ${g}, ${b})${a < 255 ? `, alpha ${a}` : ''}, ${hex} (click to copy)`;
+                swatch.addEventListener('click', () => this.copyHex(swatch, hex, index + 1));
+                this.colorPalette.appendChild(swatch);
+                return;
+            }
+            
+            swatch.title = `Cluster ${index + 1}${fixed ? ' (given color)' : ''}: RGB(${r}, ${g}, ${b})${a < 255 ? `, alpha ${a}` : ''}, ${hex} (click to recolor, drag onto another swatch to merge)`;
+            swatch.classList.toggle('selected', index === this.selectedCluster);
+            swatch.draggable = true;
+            swatch.addEventListener('click', () => {
+                this.selectCluster(index);
+                this.swatchColorPicker.value = rgbToHex(centroid.slice(0, 3));
+                if (this.swatchColorPicker.showPicker) this.swatchColorPicker.showPicker();
+                else this.swatchColorPicker.click();
+            });
+            swatch.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', String(index));
+                e.dataTransfer.effectAllowed = 'move';
+            });
+            swatch.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                swatch.classList.add('drop-target');
+            });
+            swatch.addEventListener('dragleave', () => swatch.classList.remove('drop-target'));
+            swatch.addEventListener('drop', (e) => {
+                e.preventDefault();
+                swatch.classList.remove('drop-target');
+                const source = parseInt(e.dataTransfer.getData('text/plain'));
+                if (!isNaN(source)) this.mergeClusters(source, index);
+            });
             this.colorPalette.appendChild(swatch);
         });
+        
+        this.updatePaletteEditButtons();
+        this.updateMaskTargets();
+    }
+
+    // Mask choices: the label map (and the segment map when segmenting), then one mask per cluster
+    updateMaskTargets() {
+        const result = this.quantizationResult;
+        const previous = this.maskTargetSelect.value;
+        const options = [['labels', 'Label map (all clusters)']];
+        if (result.segmentLabels) options.push(['segments', 'Segment map (all segments)']);
+        result.palette.forEach((color, index) => options.push([String(index), `Mask of cluster ${index + 1}`]));
+        
+        this.maskTargetSelect.innerHTML = '';
+        options.forEach(([value, label]) => this.maskTargetSelect.add(new Option(label, value)));
+        if (options.some(([value]) => value === previous)) this.maskTargetSelect.value = previous;
+        this.maskExport.style.display = 'flex';
+    }
+
+    // paletteEntries of the displayed labels: pixel count and share per cluster
+    getPaletteEntries() {
+        if (!this.clusterEntries) {
+            this.clusterEntries = paletteEntries(this.quantizationResult.palette, this.getOutputLabels());
+        }
+        return this.clusterEntries;
+    }
+
+    // Output labels sampled down to at most HIGHLIGHT_SIZE on the longest
+    // side: enough for an overlay at display size, and quick to redraw
+    getHighlightMap() {
+        if (this.highlightMap) return this.highlightMap;
+        
+        const labels = this.getOutputLabels();
+        const { width, height } = this.output;
+        const scale = Math.min(1, HIGHLIGHT_SIZE / Math.max(width, height));
+        const mapWidth = Math.max(1, Math.round(width * scale));
+        const mapHeight = Math.max(1, Math.round(height * scale));
+        const mapLabels = new Int32Array(mapWidth * mapHeight);
+        for (let y = 0; y < mapHeight; y++) {
+            const sourceRow = Math.min(height - 1, Math.floor((y + 0.5) * height / mapHeight)) * width;
+            for (let x = 0; x < mapWidth; x++) {
+                mapLabels[y * mapWidth + x] = labels[sourceRow + Math.min(width - 1, Math.floor((x + 0.5) * width / mapWidth))];
+            }
+        }
+        
+        this.highlightMap = { labels: mapLabels, width: mapWidth, height: mapHeight };
+        return this.highlightMap;
+    }
+
+    // Dim everything outside one cluster on the overlay over the quantized
+    // image, and show the cluster's pixel count and share
+    highlightCluster(cluster) {
+        const img = this.quantizedContainer.querySelector('img');
+        if (!this.quantizationResult || !img || cluster === this.highlightedCluster) return;
+        this.highlightedCluster = cluster;
+        
+        const map = this.getHighlightMap();
+        const canvas = this.highlightCanvas;
+        canvas.width = map.width;
+        canvas.height = map.height;
+        canvas.style.left = `${img.offsetLeft}px`;
+        canvas.style.top = `${img.offsetTop}px`;
+        canvas.style.width = `${img.offsetWidth}px`;
+        canvas.style.height = `${img.offsetHeight}px`;
+        canvas.style.display = 'block';
+        
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(map.width, map.height);
+        for (let i = 0; i < map.labels.length; i++) {
+            if (map.labels[i] !== cluster) imageData.data[i * 4 + 3] = 180; // Black, mostly opaque
+        }
+        ctx.putImageData(imageData, 0, 0);
+        
+        Array.from(this.colorPalette.children).forEach((swatch, i) => {
+            swatch.classList.toggle('highlighted', i === cluster);
+        });
+        const entry = this.getPaletteEntries()[cluster];
+        this.clusterInfo.innerHTML = `<strong>Cluster ${cluster + 1}:</strong> ${entry.pixels.toLocaleString()} pixels (${(entry.share * 100).toFixed(1)}% of the visible image)`;
+    }
+
+    clearHighlight() {
+        if (this.highlightedCluster === null) return;
+        
+        this.highlightedCluster = null;
+        this.highlightCanvas.style.display = 'none';
+        Array.from(this.colorPalette.children).forEach(swatch => swatch.classList.remove('highlighted'));
+        this.clusterInfo.innerHTML = '';
+    }
+
+    // Highlight the cluster of the output pixel under the mouse
+    highlightPixelCluster(event, img) {
+        const rect = img.getBoundingClientRect();
+        const { width, height } = this.output;
+        const x = Math.min(width - 1, Math.floor((event.clientX - rect.left) / rect.width * width));
+        const y = Math.min(height - 1, Math.floor((event.clientY - rect.top) / rect.height * height));
+        const label = this.getOutputLabels()[y * width + x];
+        if (label >= 0) this.highlightCluster(label);
+        else this.clearHighlight();
+    }
+
+    // Mark the swatch whose color the edit buttons act on
+    selectCluster(index) {
+        this.selectedCluster = index;
+        Array.from(this.colorPalette.children).forEach((swatch, i) => {
+            swatch.classList.toggle('selected', i === index);
+        });
+        this.updatePaletteEditButtons();
+    }
+
+    updatePaletteEditButtons() {
+        const selected = this.selectedCluster !== null;
+        this.splitClusterBtn.disabled = !selected;
+        this.copyHexBtn.disabled = !selected;
+        this.undoEditBtn.disabled = this.paletteEdits.done.length === 0;
+        this.redoEditBtn.disabled = this.paletteEdits.undone.length === 0;
+    }
+
+    // Copy a swatch's hex code, briefly showing a check mark on it. Without
+    // clipboard access (e.g. on plain http) the code is shown in a prompt.
+    async copyHex(swatch, hex, label) {
+        try {
+            await navigator.clipboard.writeText(hex);
+        } catch (error) {
+            window.prompt('Copy the color code:', hex);
+            return;
+        }
+        swatch.textContent = '✓';
+        setTimeout(() => { swatch.textContent = label; }, 1000);
+    }
+
+    // Download the palette of the current result in the selected format, with
+    // each color's share of the output pixels as displayed
+    exportPalette() {
+        const result = this.quantizationResult;
+        if (!result) return;
+        
+        const format = PaletteFormats[this.paletteFormatSelect.value];
+        const name = `${this.imageName} (K=${result.k})`;
+        this.downloadFile(format.encode(this.getPaletteEntries(), name), `${this.imageName}-palette.${format.extension}`, format.mimeType);
+    }
+
+    // Download the chosen mask as a grayscale PNG of the displayed labels: a
+    // 1-bit mask of one cluster, or a map with the label (or segment) of every pixel
+    exportMask() {
+        const result = this.quantizationResult;
+        if (!result || this.isProcessing) return;
+        
+        const target = this.maskTargetSelect.value;
+        const cluster = target === 'labels' || target === 'segments' ? null : parseInt(target);
+        const segments = target === 'segments';
+        return this.runJob(async (jobId) => {
+            const { png } = await this.runWorkerTask(jobId, 'mask', {
+                width: this.output.width,
+                height: this.output.height,
+                labels: segments ? result.segmentLabels : this.getOutputLabels(),
+                cluster,
+                clusterCount: segments ? result.segmentCount : result.palette.length
+            }, () => this.updateProgress(50, cluster === null
+                ? `Encoding the ${segments ? 'segment' : 'label'} map...`
+                : `Encoding the mask of cluster ${cluster + 1}...`));
+            this.checkJob(jobId);
+            const suffix = cluster === null ? target : `mask-${cluster + 1}`;
+            this.downloadFile(png, `${this.imageName}-${suffix}.png`, 'image/png');
+        });
+    }
+
+    // Queue several files to be quantized with the current settings
+    queueBatch(files) {
+        this.clearBatch();
+        
+        // Archive entries need distinct names
+        const names = new Set();
+        this.batchItems = files.map(file => {
+            const base = file.name.replace(/\.[^.]+$/, '') || 'image';
+            let name = base;
+            for (let n = 2; names.has(name); n++) name = `${base}-${n}`;
+            names.add(name);
+            return { file, name, png: null, palette: null, entries: null, url: null, error: null };
+        });
+        
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        this.setFileInfo(`Selected: ${files.length} images for batch processing (${(total / 1024 / 1024).toFixed(2)} MB)`);
+        this.batchSection.style.display = 'block';
+        this.renderBatchGrid();
+    }
+
+    // Forget the queued files and the results made from them
+    clearBatch() {
+        this.batchItems.forEach(item => {
+            if (item.url) URL.revokeObjectURL(item.url);
+        });
+        this.batchItems = [];
+        this.batchPalette = null;
+    }
+
+    // Redraw the batch tiles: thumbnail, name, palette and status of each file
+    renderBatchGrid() {
+        this.batchGrid.innerHTML = '';
+        this.batchItems.forEach(item => {
+            const tile = document.createElement('div');
+            tile.className = 'batch-tile';
+            
+            const thumb = document.createElement('div');
+            thumb.className = 'batch-thumb';
+            if (item.url) {
+                const img = document.createElement('img');
+                img.src = item.url;
+                img.alt = item.name;
+                thumb.appendChild(img);
+            } else {
+                thumb.textContent = item.error ? '✕' : '…';
+            }
+            
+            const name = document.createElement('div');
+            name.className = 'batch-name';
+            name.textContent = item.file.name;
+            name.title = item.file.name;
+            
+            const status = document.createElement('div');
+            status.className = item.error ? 'batch-status error' : 'batch-status';
+            if (item.error) status.textContent = item.error;
+            else if (item.png) status.textContent = `K=${item.palette.length} · ${this.formatBytes(item.png.length)}`;
+            else status.textContent = 'Queued';
+            
+            tile.append(thumb, name, this.createPaletteStrip(item.palette || [], 'batch-palette'), status);
+            this.batchGrid.appendChild(tile);
+        });
+        
+        const done = this.batchItems.filter(item => item.png).length;
+        const failed = this.batchItems.filter(item => item.error).length;
+        this.batchSummary.textContent = `${this.batchItems.length} images · ${done} done${failed ? ` · ${failed} failed` : ''}`
+            + (this.batchPalette ? ` · shared palette of ${this.batchPalette.palette.length} colors` : '')
+            + (this.batchPalette && this.batchPalette.thresholded ? ' · "Quantize alpha" ignored: 1-bit transparency with a shared palette' : '');
+        this.batchDownloadBtn.disabled = done === 0;
+    }
+
+    // Decode a file into an image element
+    loadImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The file could not be decoded: it is damaged, or in a format this browser cannot read'));
+            };
+            img.src = url;
+        });
+    }
+
+    // Quantize every queued file with the current settings. Each image gets
+    // its own palette, or all of them are mapped onto one palette fitted on
+    // their pooled analysis pixels. A file that fails is marked on its tile
+    // and the rest carry on.
+    processBatch() {
+        if (this.batchItems.length === 0) return;
+        
+        return this.runJob(async (jobId) => {
+            const shared = this.batchPaletteModeSelect.value === 'shared';
+            const requested = this.getQuantizeSettings();
+            // Tiles show no inertia gap, so there is no reference to fit. A
+            // shared palette is mapped to and opaque, so in that mode the
+            // images share 1-bit transparency whatever the controls say.
+            const settings = { ...requested, alphaMode: shared ? 'threshold' : requested.alphaMode, compareReference: false };
+            const thresholded = settings.alphaMode !== requested.alphaMode;
+            if (settings.segmentation) throw new Error('Segmentation mode cannot be used for a batch');
+            const items = this.batchItems;
+            this.clearBatch();
+            this.batchItems = items.map(({ file, name }) => ({ file, name, png: null, palette: null, entries: null, url: null, error: null }));
+            this.renderBatchGrid();
+            
+            // Decode a file into its analysis and output images. A shared
+            // palette needs every analysis image first, so those are read in a
+            // pass of their own and the output images one at a time after.
+            const read = async (item, withOutput = true) => {
+                try {
+                    const img = await this.decodeImageFile(item.file);
+                    if (!item.analysis) item.analysis = await this.extractPixels(img, this.getAnalysisSize());
+                    if (withOutput) item.output = await this.extractPixels(img, this.getOutputSize());
+                } catch (error) {
+                    item.error = error.message;
+                }
+                this.checkJob(jobId);
+            };
+            let job = settings;
+            if (shared) {
+                for (const [index, item] of this.batchItems.entries()) {
+                    this.updateProgress(30 * index / this.batchItems.length, `Reading ${item.file.name}...`);
+                    await read(item, false);
+                }
+                const images = this.batchItems.filter(item => !item.error).map(item => item.analysis);
+                if (images.length === 0) throw new Error('None of the files could be read');
+                
+                this.updateProgress(30, `Fitting one palette to ${images.length} images${thresholded ? ' (transparency thresholded to 1 bit)' : ''}...`);
+                const pooled = poolImages(images);
+                const fit = await this.runWorkerTask(jobId, 'quantize', { ...settings, analysis: pooled, output: pooled },
+                    (message) => this.reportJobProgress(settings, message));
+                this.checkJob(jobId);
+                const colors = fit.palette.map(color => color.slice(0, 3).map(Math.round));
+                this.batchPalette = { palette: colors, entries: paletteEntries(colors, fit.labels), thresholded };
+                job = { ...settings, paletteConstraint: { mode: 'fixed', colors } };
+            }
+            
+            const start = shared ? 75 : 0;
+            for (const [index, item] of this.batchItems.entries()) {
+                const percent = start + (95 - start) * index / this.batchItems.length;
+                this.updateProgress(percent, `Quantizing ${item.file.name} (${index + 1} of ${this.batchItems.length})...`);
+                if (!item.error) await read(item);
+                if (!item.error) {
+                    try {
+                        await this.quantizeBatchItem(jobId, item, job);
+                    } catch (error) {
+                        if (error instanceof CancelledError) throw error;
+                        item.error = error.message;
+                    }
+                }
+                item.analysis = null;
+                item.output = null;
+                this.renderBatchGrid();
+            }
+        });
+    }
+
+    // Quantize, dither and encode one read batch file, storing the PNG-8,
+    // its palette and a thumbnail URL on the item
+    async quantizeBatchItem(jobId, item, settings) {
+        const result = await this.runWorkerTask(jobId, 'quantize', { ...settings, analysis: item.analysis, output: item.output }, () => {});
+        
+        let labels = result.outputLabels;
+        const mode = this.ditherModeSelect.value;
+        if (mode !== 'none') {
+            ({ labels } = await this.runWorkerTask(jobId, 'dither', {
+                image: item.output,
+                palette: result.palette,
+                mode,
+                strength: parseInt(this.ditherStrengthInput.value) / 100,
+                minAlpha: AlphaModes[result.alphaMode].minAlpha
+            }, () => {}));
+        }
+        
+        const { png } = await this.runWorkerTask(jobId, 'encode', {
+            width: item.output.width,
+            height: item.output.height,
+            palette: result.palette,
+            labels
+        }, () => {});
+        this.checkJob(jobId);
+        item.png = png;
+        item.palette = result.palette;
+        item.entries = paletteEntries(result.palette, labels);
+        item.url = URL.createObjectURL(new Blob([png], { type: 'image/png' }));
+    }
+
+    // Download every finished image with its palette (and the shared palette,
+    // if any) as one ZIP archive
+    downloadBatch() {
+        const format = PaletteFormats[this.batchPaletteFormatSelect.value];
+        const files = [];
+        this.batchItems.forEach(item => {
+            if (!item.png) return;
+            files.push({ name: `${item.name}-quantized.png`, data: item.png });
+            files.push({ name: `${item.name}-palette.${format.extension}`, data: format.encode(item.entries, `${item.name} (K=${item.palette.length})`) });
+        });
+        if (files.length === 0) return;
+        if (this.batchPalette) {
+            const { palette, entries } = this.batchPalette;
+            files.push({ name: `shared-palette.${format.extension}`, data: format.encode(entries, `Shared palette (K=${palette.length})`) });
+        }
+        
+        this.downloadFile(encodeZip(files), 'quantized-images.zip', 'application/zip');
+    }
+
+    // Save a string or byte array as a file
+    downloadFile(data, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Plot inertia (elbow), silhouette and Davies–Bouldin against K, each
+    // normalized to the chart height, with the recommended K highlighted
+    drawKSelectionChart(selection) {
+        if (!selection) {
+            this.kChartContainer.style.display = 'none';
+            return;
+        }
+        this.kChartContainer.style.display = 'block';
+        
+        const canvas = this.kChart;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = { left: 10, right: 10, top: 10, bottom: 20 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const { evaluations, recommendedK } = selection;
+        const minK = evaluations[0].k;
+        const maxK = evaluations[evaluations.length - 1].k;
+        const xFor = (k) => padding.left + (maxK > minK ? (k - minK) / (maxK - minK) : 0.5) * plotWidth;
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        
+        // Recommended K marker
+        ctx.strokeStyle = '#4caf50';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(xFor(recommendedK), padding.top);
+        ctx.lineTo(xFor(recommendedK), padding.top + plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // K labels
+        evaluations.forEach(({ k }) => {
+            ctx.fillStyle = k === recommendedK ? '#4caf50' : '#aaa';
+            ctx.fillText(k, xFor(k), height - 6);
+        });
+        
+        const series = [
+            { key: 'inertia', color: '#4fc3f7' },
+            { key: 'silhouette', color: '#ffb74d' },
+            { key: 'daviesBouldin', color: '#e57373' }
+        ];
+        series.forEach(({ key, color }) => {
+            const values = evaluations.map(e => e[key]);
+            const min = Math.min(...values);
+            const range = Math.max(...values) - min || 1;
+            
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            evaluations.forEach((e, index) => {
+                const x = xFor(e.k);
+                const y = padding.top + plotHeight * (1 - (e[key] - min) / range);
+                if (index === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            evaluations.forEach(e => {
+                ctx.beginPath();
+                ctx.arc(xFor(e.k), padding.top + plotHeight * (1 - (e[key] - min) / range), 2.5, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        });
+        ctx.lineWidth = 1;
+        
+        this.kChartSummary.textContent =
+            `Recommended K=${recommendedK} (elbow ${selection.elbowK}, ` +
+            `silhouette ${selection.silhouetteK}, Davies–Bouldin ${selection.daviesBouldinK})`;
     }
 
     showProgress(show) {
@@ -846,9 +3030,13 @@ class ImageQuantizer {
         
         // Clear file input
         this.imageUpload.value = '';
-        this.fileInfo.textContent = `Sample: ${sampleKey.charAt(0).toUpperCase() + sampleKey.slice(1)}`;
+        this.setFileInfo(`Sample: ${sampleKey.charAt(0).toUpperCase() + sampleKey.slice(1)}`);
+        this.imageName = sampleKey;
+        // Samples are PNG data URLs; base64 stores 3 bytes in 4 characters
+        const dataURL = this.sampleImages[sampleKey];
+        this.originalFileSize = Math.floor((dataURL.length - dataURL.indexOf(',') - 1) * 3 / 4);
         
-        this.loadImageFromDataURL(this.sampleImages[sampleKey]);
+        this.loadImageFromDataURL(this.sampleImages[sampleKey]).catch(error => this.setFileInfo(error.message, true));
     }
 }
 
@@ -0,0 +1,95 @@
+// Spatial segmentation helpers
+// Shared by the main page and the quantization worker (quantize-worker.js)
+//
+// In segmentation mode every pixel is clustered on [color, x, y], the way
+// SLIC superpixels are, so a cluster prefers pixels that are both alike and
+// near each other. A cluster can still cover several separate areas; those
+// are split into connected segments here.
+
+// Segments smaller than this share of the image are merged into a neighbour
+const MIN_SEGMENT_FRACTION = 0.001;
+
+// Scale of the pixel position features of a width × height image: crossing
+// its longer side costs `weight` times `range`, the span of the color space.
+// This is independent of the resolution, so the analysis and output images
+// share the fitted centroids.
+function positionScale(width, height, range, weight) {
+    return range * weight / Math.max(width, height);
+}
+
+// Split cluster labels into 4-connected segments. As in SLIC's connectivity
+// step, a segment below minSize pixels joins the segment it touches above or
+// to the left, and its pixels take that segment's cluster (labels is updated
+// in place). Transparent pixels (label -1) belong to no segment. Returns
+// { labels: segment per pixel, count, clusters: the cluster of each segment }.
+function connectedSegments(labels, width, height, minSize = 1) {
+    const n = width * height;
+    const segments = new Int32Array(n).fill(-1);
+    const queue = new Int32Array(n);
+    const clusters = [];
+    let count = 0;
+    
+    for (let start = 0; start < n; start++) {
+        if (segments[start] !== -1 || labels[start] < 0) continue;
+        
+        // Neighbouring segment already labelled, the merge target if this one is too small
+        const x = start % width;
+        let adjacent = -1;
+        if (x > 0) adjacent = segments[start - 1];
+        if (adjacent === -1 && start >= width) adjacent = segments[start - width];
+        
+        const cluster = labels[start];
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = start;
+        segments[start] = count;
+        while (head < tail) {
+            const i = queue[head++];
+            const px = i % width;
+            if (px > 0 && segments[i - 1] === -1 && labels[i - 1] === cluster) {
+                segments[i - 1] = count;
+                queue[tail++] = i - 1;
+            }
+            if (px < width - 1 && segments[i + 1] === -1 && labels[i + 1] === cluster) {
+                segments[i + 1] = count;
+                queue[tail++] = i + 1;
+            }
+            if (i >= width && segments[i - width] === -1 && labels[i - width] === cluster) {
+                segments[i - width] = count;
+                queue[tail++] = i - width;
+            }
+            if (i < n - width && segments[i + width] === -1 && labels[i + width] === cluster) {
+                segments[i + width] = count;
+                queue[tail++] = i + width;
+            }
+        }
+        
+        if (tail < minSize && adjacent !== -1) {
+            for (let q = 0; q < tail; q++) {
+                segments[queue[q]] = adjacent;
+                labels[queue[q]] = clusters[adjacent];
+            }
+        } else {
+            clusters.push(cluster);
+            count++;
+        }
+    }
+
+    return { labels: segments, count, clusters };
+}
+
+// Mark pixels on a segment boundary: those whose right or lower neighbour
+// belongs to another segment. Returns a Uint8Array of 0/1 per pixel.
+function segmentBoundaries(segments, width, height) {
+    const boundaries = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if ((x < width - 1 && segments[i + 1] !== segments[i]) ||
+                (y < height - 1 && segments[i + width] !== segments[i])) {
+                boundaries[i] = 1;
+            }
+        }
+    }
+    return boundaries;
+}
@@ -0,0 +1,48 @@
+// Tests of the cluster quality metrics and automatic K selection
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, makeImage, randomBytes } = require('./helpers.js');
+
+// Four well separated colors, one per quadrant, each with a little noise
+const QUADRANT_COLORS = [[230, 40, 40], [40, 230, 40], [40, 40, 230], [230, 230, 40]];
+const nextByte = randomBytes(11);
+const quadrants = makeImage(32, 32, (x, y) => [...QUADRANT_COLORS[(y < 16 ? 0 : 2) + (x < 16 ? 0 : 1)].map(value => value + nextByte() % 16), 255]);
+
+test('separated clusters score well and merged ones poorly', () => {
+    // Two groups of points on a line, labelled by group or alternately
+    const data = Float32Array.of(0, 1, 2, 100, 101, 102);
+    const centroids = (labels) => [0, 1].map(c => {
+        const members = Array.from(data).filter((_, i) => labels[i] === c);
+        return [members.reduce((sum, value) => sum + value, 0) / members.length];
+    });
+    const indices = Int32Array.of(0, 1, 2, 3, 4, 5);
+    const byGroup = Int32Array.of(0, 0, 0, 1, 1, 1);
+    const alternate = Int32Array.of(0, 1, 0, 1, 0, 1);
+    
+    assert.ok(quantizer.silhouetteScore(data, 1, byGroup, 2, indices) > 0.95);
+    assert.ok(quantizer.silhouetteScore(data, 1, alternate, 2, indices) < 0);
+    assert.ok(quantizer.daviesBouldinIndex(data, 1, byGroup, centroids(byGroup)) < 0.05);
+    assert.ok(quantizer.daviesBouldinIndex(data, 1, alternate, centroids(alternate)) > 1);
+});
+
+test('recommendK takes the K two criteria agree on, or else the best silhouette', () => {
+    const evaluations = [
+        { k: 2, inertia: 1000, silhouette: 0.5, daviesBouldin: 0.9 },
+        { k: 3, inertia: 200, silhouette: 0.6, daviesBouldin: 0.5 },
+        { k: 4, inertia: 150, silhouette: 0.7, daviesBouldin: 0.6 },
+        { k: 5, inertia: 120, silhouette: 0.4, daviesBouldin: 0.8 }
+    ];
+    assert.deepStrictEqual(quantizer.recommendK(evaluations), { recommendedK: 3, elbowK: 3, silhouetteK: 4, daviesBouldinK: 3 });
+    
+    evaluations[1].daviesBouldin = 0.7;
+    assert.strictEqual(quantizer.recommendK(evaluations).recommendedK, 4);
+});
+
+test('automatic K finds the number of color groups in an image', () => {
+    const result = quantizer.quantizeImage(quadrants, { k: 'auto', seed: 1 });
+    assert.strictEqual(result.k, 4);
+    assert.strictEqual(result.palette.length, 4);
+    const { min, max } = quantizer.AUTO_K_RANGE;
+    assert.deepStrictEqual(result.kSelection.evaluations.map(evaluation => evaluation.k), Array.from({ length: max - min + 1 }, (_, i) => min + i));
+});
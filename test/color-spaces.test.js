@@ -0,0 +1,26 @@
+// Tests of the color space conversions
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, noise } = require('./helpers.js');
+
+test('every color space converts sRGB there and back', () => {
+    const colors = [[0, 0, 0], [255, 255, 255], [255, 0, 0], [12, 200, 90], [128, 128, 128], [250, 5, 130]];
+    for (const [name, space] of Object.entries(quantizer.ColorSpaces)) {
+        const converted = quantizer.convertPixels(Uint8ClampedArray.from(colors.flat()), name);
+        const back = quantizer.centroidsToRGB(colors.map((_, c) => Array.from(converted.subarray(c * 3, c * 3 + 3))), name);
+        back.forEach((color, c) => {
+            color.forEach((value, channel) => assert.ok(Math.abs(value - colors[c][channel]) < 0.5, `${space.label}: ${colors[c]} came back as ${color}`));
+        });
+    }
+});
+
+test('convertPixels converts a range of pixels, and leaves sRGB as it is', () => {
+    const pixels = Uint8ClampedArray.from(noise.pixels);
+    assert.strictEqual(quantizer.convertPixels(pixels, 'srgb').buffer, pixels.buffer);
+    
+    const lab = quantizer.convertPixels(pixels, 'lab');
+    assert.deepStrictEqual(quantizer.convertPixels(pixels, 'lab', 10, 20), lab.subarray(30, 60));
+    // White is L* 100 in CIELAB
+    assert.ok(Math.abs(quantizer.convertPixels(Uint8ClampedArray.of(255, 255, 255), 'lab')[0] - 100) < 0.01);
+});
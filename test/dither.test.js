@@ -0,0 +1,38 @@
+// Tests of dithering against a fitted palette
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, makeImage } = require('./helpers.js');
+
+const BLACK_AND_WHITE = [[0, 0, 0], [255, 255, 255]];
+// Flat gray at a quarter of the way to white
+const gray = makeImage(32, 32, () => [64, 64, 64, 255]);
+
+test('every dithering mode keeps the mean brightness of a flat gray', () => {
+    for (const mode of Object.keys(quantizer.DitherModes).filter(mode => mode !== 'none')) {
+        const labels = quantizer.ditherPixels(gray, BLACK_AND_WHITE, mode);
+        const white = labels.reduce((sum, label) => sum + label, 0) / labels.length;
+        // Atkinson drops a quarter of the error, so it is allowed to drift further
+        assert.ok(Math.abs(white - 64 / 255) < (mode === 'atkinson' ? 0.1 : 0.03), `${mode} gave ${white} white`);
+    }
+});
+
+test('strength 0 maps every pixel to its nearest color', () => {
+    for (const mode of ['floyd-steinberg', 'bayer-4']) {
+        assert.ok(quantizer.ditherPixels(gray, BLACK_AND_WHITE, mode, 0).every(label => label === 0), mode);
+    }
+});
+
+test('ordered dithering repeats its threshold pattern', () => {
+    const labels = quantizer.ditherPixels(gray, BLACK_AND_WHITE, 'bayer-4');
+    for (let y = 0; y < 32; y++) {
+        for (let x = 0; x < 32; x++) assert.strictEqual(labels[y * 32 + x], labels[(y % 4) * 32 + x % 4]);
+    }
+});
+
+test('transparent pixels are labelled -1 and palette alpha is matched', () => {
+    const image = makeImage(4, 1, (x) => [200, 200, 200, [255, 120, 0, 255][x]]);
+    const palette = [[200, 200, 200, 255], [200, 200, 200, 120]];
+    assert.deepStrictEqual(Array.from(quantizer.ditherPixels(image, palette, 'floyd-steinberg', 1, 1)), [0, 1, -1, 0]);
+    assert.throws(() => quantizer.ditherPixels(image, palette, 'none'), /Unknown dithering mode/);
+});
@@ -0,0 +1,44 @@
+// Shared by the tests: the Node library, synthetic images and a loader for
+// the page-only scripts the library does not include
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const quantizer = require('../quantize-node.js');
+
+// A width × height image with color(x, y) giving each pixel's [r, g, b, a]
+function makeImage(width, height, color) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) rgba.set(color(x, y), (y * width + x) * 4);
+    }
+    return quantizer.splitRGBA(rgba, width, height);
+}
+
+// Mulberry32 bytes, so random images are the same on every run
+function randomBytes(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) & 0xff;
+    };
+}
+
+const gradient = makeImage(48, 48, (x, y) => [x * 5, y * 5, 128, 255]);
+const nextByte = randomBytes(7);
+const noise = makeImage(48, 48, () => [nextByte(), nextByte(), nextByte(), 255]);
+// Three distinct colors in vertical stripes
+const STRIPE_COLORS = [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]];
+const stripes = makeImage(12, 12, (x) => STRIPE_COLORS[x % 3]);
+
+// Run a page script on its own, with the given globals, and return the
+// named declarations it makes
+function loadScript(file, names, globals = {}) {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    return vm.runInNewContext(`${source}\n({ ${names.join(', ')} });`, { ...globals }, { filename: file });
+}
+
+module.exports = { quantizer, makeImage, randomBytes, gradient, noise, stripes, loadScript };
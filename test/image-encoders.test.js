@@ -0,0 +1,117 @@
+// Tests of the indexed image encoders
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, randomBytes } = require('./helpers.js');
+
+// Decode a GIF as encodeGIF writes it: one frame after the global color table
+// and an optional graphic control extension. Returns { width, height, palette,
+// transparentIndex, indices }.
+function decodeGIF(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    assert.strictEqual(Buffer.from(bytes.subarray(0, 6)).toString(), 'GIF89a');
+    const width = view.getUint16(6, true);
+    const height = view.getUint16(8, true);
+    const tableSize = 2 << (bytes[10] & 7);
+    const palette = Array.from({ length: tableSize }, (_, c) => Array.from(bytes.subarray(13 + c * 3, 16 + c * 3)));
+    let offset = 13 + tableSize * 3;
+    let transparentIndex = -1;
+    if (bytes[offset] === 0x21) {
+        transparentIndex = bytes[offset + 6];
+        offset += 8;
+    }
+    assert.strictEqual(bytes[offset], 0x2c);
+    offset += 10;
+    const minCodeSize = bytes[offset++];
+    const data = [];
+    while (bytes[offset] !== 0) {
+        data.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+        offset += bytes[offset] + 1;
+    }
+    assert.strictEqual(bytes[offset + 1], 0x3b);
+    assert.strictEqual(offset + 2, bytes.length);
+    
+    // LZW codes, least significant bit first
+    const clearCode = 1 << minCodeSize;
+    let bit = 0;
+    let codeSize;
+    let table;
+    let previous;
+    const readCode = () => {
+        let code = 0;
+        for (let b = 0; b < codeSize; b++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << b;
+        return code;
+    };
+    const reset = () => {
+        table = [...Array.from({ length: clearCode }, (_, i) => [i]), null, null];
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+    const indices = [];
+    for (let code = readCode(); code !== clearCode + 1; code = readCode()) {
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        const entry = code < table.length ? table[code] : [...previous, previous[0]];
+        indices.push(...entry);
+        if (previous && table.length < 4096) table.push([...previous, entry[0]]);
+        previous = entry;
+        if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    return { width, height, palette, transparentIndex, indices };
+}
+
+test('encodeGIF writes the palette, the transparent index and every pixel', () => {
+    const size = { width: 37, height: 21 };
+    // Five colors, the last below half opacity; label -1 is a transparent pixel
+    const palette = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [9, 8, 7, 200], [1, 2, 3, 60]];
+    const labels = Int32Array.from({ length: size.width * size.height }, (_, i) => (i % 11 === 10 ? -1 : i % 5));
+    const gif = decodeGIF(quantizer.encodeGIF(size, palette, labels));
+    
+    assert.strictEqual(gif.width, size.width);
+    assert.strictEqual(gif.height, size.height);
+    assert.strictEqual(gif.palette.length, 16);
+    assert.deepStrictEqual(gif.palette.slice(0, 4), palette.slice(0, 4).map(color => color.slice(0, 3)));
+    assert.strictEqual(gif.transparentIndex, 5);
+    assert.deepStrictEqual(gif.indices, Array.from(labels, label => (label < 0 || label === 4 ? 5 : label)));
+});
+
+test('encodeGIF compresses large images across code table resets', () => {
+    const size = { width: 128, height: 96 };
+    const palette = Array.from({ length: 256 }, (_, c) => [c, c, c]);
+    const nextByte = randomBytes(3);
+    const labels = Int32Array.from({ length: size.width * size.height }, (_, i) => (i < 4000 ? nextByte() : i % 3));
+    const gif = decodeGIF(quantizer.encodeGIF(size, palette, labels));
+    assert.strictEqual(gif.transparentIndex, -1);
+    assert.deepStrictEqual(gif.indices, Array.from(labels));
+});
+
+test('indexed formats refuse more than 256 colors, counting the transparent entry', async () => {
+    const palette = Array.from({ length: 256 }, (_, c) => [c, 0, 0]);
+    const labels = Int32Array.of(0, -1);
+    assert.throws(() => quantizer.encodeGIF({ width: 2, height: 1 }, palette, labels), /at most 256 colors/);
+    await assert.rejects(quantizer.encodePNG8({ width: 2, height: 1 }, palette, labels), /at most 256 colors/);
+    assert.ok(quantizer.encodeGIF({ width: 2, height: 1 }, palette, Int32Array.of(0, 255)).length > 0);
+});
+
+test('masks and label maps are grayscale PNGs of the labels', async () => {
+    const size = { width: 9, height: 5 };
+    const labels = Int32Array.from({ length: 45 }, (_, i) => (i % 8 === 7 ? -1 : i % 4));
+    const gray = (png) => Array.from(quantizer.decodePNG(png).pixels.filter((_, i) => i % 3 === 0));
+    
+    const mask = await quantizer.encodeMaskPNG(size, labels, 2);
+    assert.strictEqual(mask[24], 1); // Bit depth, from the IHDR chunk
+    assert.deepStrictEqual(gray(mask), Array.from(labels, label => (label === 2 ? 255 : 0)));
+    
+    const map = await quantizer.encodeLabelMapPNG(size, labels, 4);
+    assert.strictEqual(map[24], 8);
+    assert.deepStrictEqual(gray(map), Array.from(labels, label => (label < 0 ? 255 : label)));
+    
+    // Beyond 254 clusters the map is 16-bit, with 65535 for transparent pixels
+    const wide = await quantizer.encodeLabelMapPNG(size, labels, 300);
+    assert.strictEqual(wide[24], 16);
+    assert.strictEqual(gray(wide)[7], 255);
+    assert.throws(() => quantizer.encodeLabelMapPNG(size, labels, 65535), /at most 65534 clusters/);
+});
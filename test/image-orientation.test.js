@@ -0,0 +1,66 @@
+// Tests of EXIF orientation, loaded on its own
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers.js');
+
+const { EXIF_ORIENTATIONS, exifOrientation } = loadScript('image-orientation.js', ['EXIF_ORIENTATIONS', 'exifOrientation']);
+
+// The start of a JPEG: a JFIF segment, then EXIF data whose first IFD holds a
+// camera make and the orientation (or another SHORT tag), then the start of the scan
+function jpegWithOrientation(value, littleEndian, tag = 0x0112) {
+    const tiff = new DataView(new ArrayBuffer(8 + 2 + 2 * 12 + 4));
+    tiff.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+    tiff.setUint16(2, 42, littleEndian);
+    tiff.setUint32(4, 8, littleEndian);
+    tiff.setUint16(8, 2, littleEndian);
+    tiff.setUint16(10, 0x010f, littleEndian); // Make, an ASCII string stored elsewhere
+    tiff.setUint16(12, 2, littleEndian);
+    tiff.setUint32(14, 6, littleEndian);
+    tiff.setUint16(22, tag, littleEndian);
+    tiff.setUint16(24, 3, littleEndian);
+    tiff.setUint32(26, 1, littleEndian);
+    tiff.setUint16(30, value, littleEndian);
+    const exif = [...Buffer.from('Exif\0\0'), ...new Uint8Array(tiff.buffer)];
+    const jfif = [...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0];
+    return Uint8Array.from([
+        0xff, 0xd8,
+        0xff, 0xe0, 0, jfif.length + 2, ...jfif,
+        0xff, 0xe1, 0, exif.length + 2, ...exif,
+        0xff, 0xda, 0, 2
+    ]);
+}
+
+test('exifOrientation finds the tag in either byte order', () => {
+    for (const littleEndian of [false, true]) {
+        const bytes = jpegWithOrientation(6, littleEndian);
+        const orientation = exifOrientation(bytes);
+        assert.strictEqual(orientation.value, 6);
+        assert.strictEqual(orientation.littleEndian, littleEndian);
+        // The offset is where the value can be rewritten
+        assert.strictEqual(new DataView(bytes.buffer).getUint16(orientation.offset, littleEndian), 6);
+    }
+});
+
+test('exifOrientation is null for other files and JPEGs without the tag', () => {
+    assert.strictEqual(exifOrientation(Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0, 0, 0, 0, 0)), null);
+    assert.strictEqual(exifOrientation(jpegWithOrientation(6, false, 0x0128)), null);
+    // Cut short inside the EXIF data
+    assert.strictEqual(exifOrientation(jpegWithOrientation(3, true).subarray(0, 40)), null);
+});
+
+test('each orientation maps the stored image onto the upright one', () => {
+    const width = 40;
+    const height = 30;
+    for (const [value, { swap, transform }] of Object.entries(EXIF_ORIENTATIONS)) {
+        const [a, b, c, d, e, f] = transform(width, height);
+        const upright = swap ? [height, width] : [width, height];
+        // Corners of the stored image land on distinct corners of the upright one
+        const corners = [[0, 0], [width, 0], [0, height], [width, height]].map(([x, y]) => `${a * x + c * y + e},${b * x + d * y + f}`);
+        const expected = [[0, 0], [upright[0], 0], [0, upright[1]], [upright[0], upright[1]]].map(corner => corner.join(','));
+        assert.deepStrictEqual([...corners].sort(), [...expected].sort(), `orientation ${value}`);
+    }
+    // Turned 90° clockwise: the stored top left ends up at the top right
+    const [, , , , e, f] = EXIF_ORIENTATIONS[6].transform(width, height);
+    assert.deepStrictEqual([e, f], [height, 0]);
+});
@@ -0,0 +1,39 @@
+// Tests of the pixel buffer helpers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, makeImage } = require('./helpers.js');
+
+test('scaledDimensions shrinks the longest side to the limit and never enlarges', () => {
+    assert.deepStrictEqual(quantizer.scaledDimensions({ width: 800, height: 200 }, 100), { width: 100, height: 25 });
+    assert.deepStrictEqual(quantizer.scaledDimensions({ width: 30, height: 600 }, 300), { width: 15, height: 300 });
+    assert.deepStrictEqual(quantizer.scaledDimensions({ width: 50, height: 40 }, 100), { width: 50, height: 40 });
+    assert.deepStrictEqual(quantizer.scaledDimensions({ width: 1000, height: 1 }, 10), { width: 10, height: 1 });
+});
+
+test('resizeImage averages each block of pixels, weighted by alpha', () => {
+    // 2×2 blocks: black and white checks, and red next to transparent blue
+    const rows = [
+        [[0, 0, 0, 255], [255, 255, 255, 255], [255, 0, 0, 255], [0, 0, 255, 0]],
+        [[255, 255, 255, 255], [0, 0, 0, 255], [255, 0, 0, 255], [0, 0, 255, 0]]
+    ];
+    const image = makeImage(4, 2, (x, y) => rows[y][x]);
+    const resized = quantizer.resizeImage(image, 2);
+    assert.strictEqual(resized.width, 2);
+    assert.strictEqual(resized.height, 1);
+    assert.deepStrictEqual(Array.from(resized.pixels), [128, 128, 128, 255, 0, 0]);
+    assert.deepStrictEqual(Array.from(resized.alpha), [255, 128]);
+    
+    assert.strictEqual(quantizer.resizeImage(image, 4), image);
+});
+
+test('poolImages lays several images end to end as one row', () => {
+    const opaque = { pixels: Uint8ClampedArray.of(1, 2, 3, 4, 5, 6), alpha: null, width: 2, height: 1 };
+    const translucent = makeImage(1, 2, (x, y) => [7, 8, 9, y ? 0 : 200]);
+    const pooled = quantizer.poolImages([opaque, translucent]);
+    assert.deepStrictEqual({ width: pooled.width, height: pooled.height }, { width: 4, height: 1 });
+    assert.deepStrictEqual(Array.from(pooled.pixels), [1, 2, 3, 4, 5, 6, 7, 8, 9, 7, 8, 9]);
+    // Images without alpha count as opaque
+    assert.deepStrictEqual(Array.from(pooled.alpha), [255, 255, 200, 0]);
+    assert.strictEqual(quantizer.poolImages([opaque, opaque]).alpha, null);
+});
@@ -0,0 +1,107 @@
+// Tests of K-means and its variants
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, gradient, noise } = require('./helpers.js');
+
+test('K-means clusters flat typed arrays and labels every point', () => {
+    // Two tight groups of 4-dimensional points
+    const points = Float32Array.from({ length: 40 * 4 }, (_, i) => (Math.floor(i / 4) < 20 ? 10 : 200) + (i % 4));
+    for (const data of [points, Uint8ClampedArray.from(points)]) {
+        const kmeans = new quantizer.KMeans(2);
+        kmeans.useSeed(1);
+        const result = kmeans.fit(data, 4);
+        assert.ok(result.labels instanceof Int32Array);
+        assert.strictEqual(result.labels.length, 40);
+        assert.deepStrictEqual(Array.from(result.counts).sort(), [20, 20]);
+        assert.notStrictEqual(result.labels[0], result.labels[39]);
+        assert.strictEqual(result.inertia, 0);
+        assert.deepStrictEqual(kmeans.predict(data), result.labels);
+    }
+});
+
+test('seeded algorithms replay a run from its seed', () => {
+    const seeded = Object.keys(quantizer.Algorithms).filter(id => quantizer.Algorithms[id].seeded);
+    assert.ok(seeded.length > 0);
+    for (const algorithm of seeded) {
+        const first = quantizer.quantizeImage(noise, { k: 6, algorithm, nInit: 3 });
+        assert.ok(Number.isInteger(first.seed));
+        
+        const replay = quantizer.quantizeImage(noise, { k: 6, algorithm, nInit: 3, seed: first.seed });
+        assert.strictEqual(replay.seed, first.seed);
+        assert.deepStrictEqual(replay.palette, first.palette, algorithm);
+        assert.deepStrictEqual(replay.outputLabels, first.outputLabels, algorithm);
+        assert.strictEqual(replay.inertia, first.inertia, algorithm);
+    }
+});
+
+test('restarts keep the run with the lowest inertia', () => {
+    const data = Uint8ClampedArray.from(noise.pixels);
+    const fit = (nInit) => {
+        const kmeans = new quantizer.KMeans(8);
+        kmeans.useSeed(42, nInit);
+        return kmeans.fit(data, 3);
+    };
+    // The first of several runs is the single run from the same seed
+    const single = fit(1);
+    const best = fit(4);
+    assert.ok(best.inertia <= single.inertia);
+    assert.ok(best.bestRun >= 1 && best.bestRun <= 4);
+    assert.strictEqual(single.bestRun, 1);
+});
+
+test('K-means records its seeds and every iteration of the best run', () => {
+    const kmeans = new quantizer.KMeans(5);
+    kmeans.useSeed(9, 2);
+    const result = kmeans.fit(Uint8ClampedArray.from(gradient.pixels), 3);
+    const [seeds, ...steps] = result.history;
+    assert.strictEqual(seeds.counts, null);
+    assert.strictEqual(seeds.inertia, null);
+    assert.strictEqual(seeds.centroids.length, 5);
+    assert.ok(steps.length >= 1 && steps.length <= result.iterations);
+    
+    // Lloyd's iterations never increase the inertia, and end on the result
+    steps.slice(1).forEach((step, i) => assert.ok(step.inertia <= steps[i].inertia * (1 + 1e-9)));
+    const last = steps[steps.length - 1];
+    assert.strictEqual(last.counts.reduce((sum, count) => sum + count, 0), 48 * 48);
+    assert.strictEqual(last.inertia, result.inertia);
+    
+    // The pipeline adds each step's centroids as sRGB colors
+    const { history } = quantizer.quantizeImage(gradient, { k: 5, seed: 9, colorSpace: 'lab' });
+    assert.ok(history.every(step => step.palette.length === 5 && step.palette.every(color => color.every(value => value >= 0 && value <= 255))));
+});
+
+test('mini-batch K-means labels every point and reports its exact inertia', () => {
+    const data = Float32Array.from(gradient.pixels);
+    const miniBatch = new quantizer.MiniBatchKMeans(8, 256);
+    miniBatch.useSeed(5);
+    const result = miniBatch.fit(data, 3);
+    assert.strictEqual(result.labels.length, data.length / 3);
+    assert.strictEqual(result.history, null);
+    
+    const labels = new Int32Array(data.length / 3);
+    assert.ok(Math.abs(miniBatch.assignNearest(data, labels) - result.inertia) < 1e-6 * result.inertia);
+    assert.deepStrictEqual(labels, result.labels);
+    
+    // Close to full K-means on a smooth image
+    const kmeans = new quantizer.KMeans(8);
+    kmeans.useSeed(5);
+    assert.ok(result.inertia < 1.25 * kmeans.fit(data, 3).inertia);
+});
+
+test('k-means++ can seed on a sample of the points, and replays from its seed', () => {
+    const data = Uint8ClampedArray.from(noise.pixels);
+    const kmeans = new quantizer.KMeans(6);
+    kmeans.dimensions = 3;
+    kmeans.useSeedSample(100);
+    assert.strictEqual(kmeans.seedPoints(data).length, 100 * 3);
+    kmeans.useSeedSample(1e6);
+    assert.strictEqual(kmeans.seedPoints(data), data);
+    
+    for (const algorithm of ['kmeans', 'kmeans-minibatch']) {
+        const first = quantizer.quantizeImage(noise, { k: 6, algorithm, seedSample: 200 });
+        const replay = quantizer.quantizeImage(noise, { k: 6, algorithm, seedSample: 200, seed: first.seed });
+        assert.deepStrictEqual(replay.palette, first.palette, algorithm);
+        assert.deepStrictEqual(replay.outputLabels, first.outputLabels, algorithm);
+    }
+});
@@ -0,0 +1,63 @@
+// Tests of the palette file formats
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer } = require('./helpers.js');
+
+const palette = [[255, 128, 0], [10.4, 20.6, 30], [0, 0, 255, 127.6]];
+// Three pixels of the first color, one of the second, none of the third, one transparent
+const entries = quantizer.paletteEntries(palette, Int32Array.of(0, 0, 1, 0, -1));
+
+test('palette entries carry hex codes and each color\'s share of the pixels', () => {
+    assert.deepStrictEqual(entries.map(entry => entry.hex), ['#ff8000', '#0a151e', '#0000ff80']);
+    assert.deepStrictEqual(entries[1].rgb, [10, 21, 30]);
+    assert.deepStrictEqual(entries.map(entry => entry.alpha), [255, 255, 128]);
+    assert.deepStrictEqual(entries.map(entry => entry.pixels), [3, 1, 0]);
+    assert.deepStrictEqual(entries.map(entry => entry.share), [0.75, 0.25, 0]);
+    assert.strictEqual(quantizer.rgbToHex([1, 2, 3, 255]), '#010203');
+});
+
+test('text formats list every color', () => {
+    const gpl = quantizer.PaletteFormats.gpl.encode(entries, 'Test').split('\n');
+    assert.deepStrictEqual(gpl.slice(0, 4), ['GIMP Palette', 'Name: Test', 'Columns: 0', '#']);
+    assert.strictEqual(gpl[4], '255 128   0\tCluster 1 (#ff8000)');
+    
+    const css = quantizer.PaletteFormats.css.encode(entries, 'Test');
+    assert.match(css, /--cluster-1: #ff8000; \/\* 75\.0% \*\//);
+    assert.match(css, /--cluster-3: #0000ff80;/);
+    
+    const json = JSON.parse(quantizer.PaletteFormats.json.encode(entries, 'Test'));
+    assert.strictEqual(json.name, 'Test');
+    assert.deepStrictEqual(json.colors[1], { cluster: 2, hex: '#0a151e', rgb: [10, 21, 30], alpha: 255, pixels: 1, share: 0.25 });
+});
+
+test('binary formats follow the ASE and ACT layouts', () => {
+    const act = quantizer.PaletteFormats.act.encode(entries, 'Test');
+    assert.strictEqual(act.length, 772);
+    assert.deepStrictEqual(Array.from(act.subarray(0, 9)), [255, 128, 0, 10, 21, 30, 0, 0, 255]);
+    assert.deepStrictEqual(Array.from(act.subarray(768)), [0, 3, 0xff, 0xff]);
+    
+    const ase = quantizer.PaletteFormats.ase.encode(entries, 'Test');
+    const view = new DataView(ase.buffer);
+    assert.strictEqual(Buffer.from(ase.subarray(0, 4)).toString(), 'ASEF');
+    assert.strictEqual(view.getUint32(8), 3);
+    // The first block: type, length, then the name "Cluster 1" in UTF-16 with a terminator
+    assert.strictEqual(view.getUint16(12), 0x0001);
+    const nameLength = view.getUint16(18);
+    assert.strictEqual(nameLength, 10);
+    const model = 20 + nameLength * 2;
+    assert.strictEqual(Buffer.from(ase.subarray(model, model + 4)).toString(), 'RGB ');
+    assert.strictEqual(view.getFloat32(model + 4), 1);
+    // Every name has the same length, so every block has the same size
+    assert.strictEqual(ase.length, 12 + 3 * (6 + view.getUint32(14)));
+});
+
+test('given colors are read from hex lists and GIMP palettes', () => {
+    assert.deepStrictEqual(quantizer.parsePaletteColors('#ff8000, 0a151e\n#fff;#000'), [[255, 128, 0], [10, 21, 30], [255, 255, 255], [0, 0, 0]]);
+    assert.throws(() => quantizer.parsePaletteColors('#ff8000 red'), /"red" is not a hex color/);
+    
+    // An exported palette reads back as its colors
+    const gpl = quantizer.PaletteFormats.gpl.encode(entries, 'Test');
+    assert.deepStrictEqual(quantizer.parsePaletteColors(gpl), [[255, 128, 0], [10, 21, 30], [0, 0, 255]]);
+    assert.throws(() => quantizer.parsePaletteColors('GIMP Palette\n255 0\n'), /Line 2 of the GIMP palette/);
+});
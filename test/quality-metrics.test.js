@@ -0,0 +1,37 @@
+// Tests of the quantization quality metrics
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, makeImage, stripes } = require('./helpers.js');
+
+const STRIPE_PALETTE = [[255, 0, 0], [0, 255, 0], [0, 0, 255]];
+const stripeLabels = Int32Array.from({ length: 12 * 12 }, (_, i) => i % 3);
+
+test('an exact quantization has no error', () => {
+    const metrics = quantizer.compareImages(stripes, STRIPE_PALETTE, stripeLabels);
+    assert.strictEqual(metrics.mse, 0);
+    assert.strictEqual(metrics.psnr, Infinity);
+    assert.strictEqual(metrics.ssim, 1);
+    assert.deepStrictEqual(metrics.deltaE, { mean: 0, p95: 0 });
+    assert.ok(metrics.errorMap.every(value => value === 0));
+});
+
+test('errors are measured per channel and as CIEDE2000', () => {
+    // Every red pixel drawn 30 levels too dark in red
+    const shifted = quantizer.compareImages(stripes, [[225, 0, 0], ...STRIPE_PALETTE.slice(1)], stripeLabels);
+    assert.strictEqual(shifted.mse, 30 * 30 / 9);
+    assert.ok(Math.abs(shifted.psnr - 10 * Math.log10(255 * 255 * 9 / 900)) < 1e-9);
+    assert.ok(shifted.ssim < 1);
+    
+    // Black drawn as white is a ΔE of exactly 100; transparent pixels do not count
+    const black = makeImage(8, 8, () => [0, 0, 0, 255]);
+    const labels = Int32Array.from({ length: 64 }, (_, i) => (i < 8 ? -1 : 0));
+    const inverted = quantizer.compareImages(black, [[255, 255, 255]], labels);
+    assert.ok(Math.abs(inverted.deltaE.mean - 100) < 1e-3);
+    assert.strictEqual(inverted.deltaE.p95, 100);
+    assert.strictEqual(inverted.mse, 255 * 255);
+    assert.strictEqual(inverted.errorMap[0], 0);
+    assert.strictEqual(inverted.errorMap[8], 255);
+    
+    assert.throws(() => quantizer.compareImages(black, [[0, 0, 0]], new Int32Array(64).fill(-1)), /no visible pixels/);
+});
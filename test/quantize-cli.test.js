@@ -0,0 +1,44 @@
+// Tests of the command-line quantizer, run as a child process
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { quantizer } = require('./helpers.js');
+
+const CLI = path.join(__dirname, '..', 'quantize-cli.js');
+
+// Run the CLI with the given arguments; returns { status, stdout, stderr }
+function run(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+// A temporary directory for the duration of body(directory)
+async function withDirectory(body) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quantize-cli-'));
+    try {
+        await body(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+}
+
+test('-k 256 is refused before fitting an image with transparent pixels', () => withDirectory(async (directory) => {
+    // 255 colors and one transparent pixel
+    const palette = Array.from({ length: 255 }, (_, i) => [i, 255 - i, i]);
+    const labels = Int32Array.from({ length: 256 }, (_, i) => (i < 255 ? i : -1));
+    const input = path.join(directory, 'sprite.png');
+    fs.writeFileSync(input, await quantizer.encodePNG8({ width: 16, height: 16 }, palette, labels));
+    
+    const refused = run(['-k', '256', input]);
+    assert.strictEqual(refused.status, 1);
+    assert.match(refused.stderr, /transparent pixels.*at most 255/);
+    assert.ok(!fs.existsSync(path.join(directory, 'sprite-quantized.png')));
+    
+    const written = run(['-k', '255', '-a', 'mediancut', input]);
+    assert.strictEqual(written.status, 0, written.stderr);
+    const image = quantizer.readImage(path.join(directory, 'sprite-quantized.png'));
+    assert.strictEqual(image.alpha[255], 0);
+}));
@@ -0,0 +1,95 @@
+// Tests of the Node library: PNG and PPM reading
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quantizer, gradient } = require('./helpers.js');
+
+// Palette and labels of an image with one entry per distinct RGBA value
+function indexColors(image) {
+    const palette = [];
+    const indices = new Map();
+    const labels = new Int32Array(image.width * image.height);
+    labels.forEach((_, i) => {
+        const color = [...image.pixels.subarray(i * 3, i * 3 + 3), image.alpha[i]];
+        const key = color.join(',');
+        if (!indices.has(key)) {
+            indices.set(key, palette.length);
+            palette.push(color);
+        }
+        labels[i] = indices.get(key);
+    });
+    return { palette, labels };
+}
+
+test('decodePNG reads back what encodePNG8 writes, at every bit depth', async () => {
+    for (const count of [2, 3, 16, 200]) {
+        const palette = Array.from({ length: count }, (_, c) => [c, 255 - c, (c * 37) % 256, c % 5 === 0 ? 128 : 255]);
+        const size = { width: 23, height: 11 };
+        // Every color, and transparent pixels (label -1)
+        const labels = Int32Array.from({ length: size.width * size.height }, (_, i) => (i % 7 === 6 ? -1 : i % count));
+        const image = quantizer.decodePNG(await quantizer.encodePNG8(size, palette, labels));
+        
+        assert.strictEqual(image.width, size.width);
+        assert.strictEqual(image.height, size.height);
+        labels.forEach((label, i) => {
+            const expected = label < 0 ? [0, 0, 0, 0] : palette[label];
+            assert.deepStrictEqual([...image.pixels.subarray(i * 3, i * 3 + 3), image.alpha[i]], expected, `pixel ${i} with ${count} colors`);
+        });
+    }
+});
+
+test('decodePPM reads binary and plain files, which round-trip through encodePNG8', async () => {
+    const width = 3;
+    const height = 2;
+    const values = [255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30, 10, 20, 30, 255, 255, 255];
+    const files = [
+        Buffer.concat([Buffer.from(`P6\n# a comment\n${width} ${height}\n255\n`), Buffer.from(values)]),
+        Buffer.from(`P3 ${width} ${height} 255 ${values.join(' ')}`)
+    ];
+    
+    for (const file of files) {
+        const image = quantizer.decodePPM(new Uint8Array(file));
+        assert.deepStrictEqual(Array.from(image.pixels), values);
+        assert.ok(image.alpha.every(value => value === 255));
+        
+        const { palette, labels } = indexColors(image);
+        const decoded = quantizer.decodePNG(await quantizer.encodePNG8(image, palette, labels));
+        assert.deepStrictEqual(decoded, image);
+    }
+
+    // 16-bit grayscale is reduced to 8 bits
+    const gray = quantizer.decodePPM(new Uint8Array(Buffer.concat([Buffer.from('P5 2 1 65535\n'), Buffer.from([0xff, 0xff, 0x80, 0x00])])));
+    assert.deepStrictEqual(Array.from(gray.pixels), [255, 255, 255, 128, 128, 128]);
+});
+
+test('readImage tells PNG from PPM by content and rejects other files', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quantize-test-'));
+    try {
+        const png = path.join(directory, 'image.ppm'); // The extension does not matter
+        fs.writeFileSync(png, await quantizer.encodePNG8({ width: 1, height: 1 }, [[1, 2, 3]], Int32Array.of(0)));
+        assert.deepStrictEqual(Array.from(quantizer.readImage(png).pixels), [1, 2, 3]);
+        
+        const other = path.join(directory, 'image.png');
+        fs.writeFileSync(other, 'GIF89a');
+        assert.throws(() => quantizer.readImage(other), /not a PNG or PPM file/);
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+});
+
+test('quantizeImage fits on a downscaled copy and maps every pixel of the image', () => {
+    const image = quantizer.splitRGBA(new Uint8ClampedArray(400 * 20 * 4).fill(200), 400, 20);
+    const result = quantizer.quantizeImage(image, { k: 2, algorithm: 'mediancut', analysisSize: 100 });
+    assert.strictEqual(result.clusteredCount, 100 * 5);
+    assert.strictEqual(result.outputLabels.length, 400 * 20);
+});
+
+test('quantizeImage names the option it does not know', () => {
+    assert.throws(() => quantizer.quantizeImage(gradient, { algorithm: 'kmedoids' }), /Unknown algorithm "kmedoids"/);
+    assert.throws(() => quantizer.quantizeImage(gradient, { colorSpace: 'cmyk' }), /Unknown color space "cmyk"/);
+    assert.throws(() => quantizer.quantizeImage(gradient, { alphaMode: 'premultiplied' }), /Unknown transparency mode "premultiplied"/);
+});
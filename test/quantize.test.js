@@ -0,0 +1,116 @@
+// Tests of the quantization pipeline (runQuantizationJob) and its registries
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, makeImage, gradient, noise, stripes } = require('./helpers.js');
+
+test('color-only algorithms reject settings that add dimensions', () => {
+    const translucent = makeImage(8, 8, (x) => [x * 30, 0, 0, x < 4 ? 255 : 100]);
+    assert.throws(() => quantizer.quantizeImage(translucent, { k: 4, algorithm: 'wu', alphaMode: 'quantize' }), /colors only/);
+    assert.throws(() => quantizer.runQuantizationJob({ k: 4, analysis: gradient, output: gradient, algorithm: 'wu', segmentation: { weight: 1 } }, () => {}), /colors only/);
+    // An opaque image has no alpha to quantize
+    assert.strictEqual(quantizer.quantizeImage(gradient, { k: 4, algorithm: 'wu', alphaMode: 'quantize' }).palette.length, 4);
+    // A fixed palette is mapped to, not fitted
+    const fixed = { mode: 'fixed', colors: [[0, 0, 0], [255, 255, 255]] };
+    assert.strictEqual(quantizer.quantizeImage(translucent, { algorithm: 'wu', alphaMode: 'quantize', paletteConstraint: fixed }).palette.length, 2);
+});
+
+test('mini-batch fits are compared with full K-means only on request', () => {
+    const settings = { k: 6, algorithm: 'kmeans-minibatch', seed: 3 };
+    assert.strictEqual(quantizer.quantizeImage(noise, settings).reference, undefined);
+    
+    const result = quantizer.quantizeImage(noise, { ...settings, compareReference: true });
+    assert.strictEqual(result.reference.algorithm, 'kmeans');
+    assert.ok(result.reference.inertia > 0);
+    assert.match(quantizer.formatInertiaGap(result), /^[+-]\d+\.\d\d%$/);
+});
+
+test('the inertia gap stays finite when the reference fit is exact', () => {
+    assert.strictEqual(quantizer.formatInertiaGap({ inertia: 101.3, reference: { inertia: 100 } }), '+1.30%');
+    assert.strictEqual(quantizer.formatInertiaGap({ inertia: 0, reference: { inertia: 0 } }), '0.00%');
+    assert.strictEqual(quantizer.formatInertiaGap({ inertia: 12, reference: { inertia: 0 } }), '+12.00 over an exact fit');
+    
+    const result = quantizer.quantizeImage(stripes, { k: 3, algorithm: 'kmeans-minibatch', compareReference: true });
+    assert.strictEqual(result.reference.inertia, 0);
+    assert.strictEqual(quantizer.formatInertiaGap(result), '0.00%');
+});
+
+test('a quantization job reports each K-means iteration, then the mapping', () => {
+    const messages = [];
+    const result = quantizer.WorkerTasks.quantize({ k: 4, analysis: gradient, output: gradient, seed: 2 }, message => messages.push(message));
+    const progress = messages.filter(message => message.type === 'progress');
+    assert.strictEqual(progress.length, result.iterations);
+    progress.forEach((message, i) => {
+        assert.strictEqual(message.iteration, i + 1);
+        assert.ok(message.iteration <= message.maxIterations);
+        assert.ok(message.inertia >= 0);
+    });
+    assert.deepStrictEqual(messages[messages.length - 1], { type: 'mapping', pixelCount: 48 * 48 });
+});
+
+test('transparent pixels are left out of the fit and labelled -1', () => {
+    // Opaque red and green, and transparent pixels holding black or half-visible blue
+    const image = makeImage(8, 8, (x) => [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 0, 0], [0, 0, 255, 100]][x % 4]);
+    const threshold = quantizer.quantizeImage(image, { k: 2, seed: 1 });
+    assert.deepStrictEqual(threshold.palette.map(color => color.join(',')).sort(), ['0,255,0', '255,0,0']);
+    assert.strictEqual(threshold.clusteredCount, 32);
+    assert.strictEqual(threshold.transparentCount, 32);
+    assert.ok(threshold.outputLabels.every((label, i) => (i % 4 < 2) === (label >= 0)));
+    
+    // Quantized alpha keeps the half-visible pixels, with alpha in the palette
+    const quantized = quantizer.quantizeImage(image, { k: 3, seed: 1, alphaMode: 'quantize' });
+    assert.strictEqual(quantized.transparentCount, 16);
+    assert.ok(quantized.palette.every(color => color.length === 4));
+    const blue = quantized.palette[quantized.outputLabels[3]];
+    assert.deepStrictEqual(blue.map(Math.round), [0, 0, 255, 100]);
+});
+
+test('fixed palettes come back exactly, and locked colors stay first', () => {
+    const brand = [[12, 34, 56], [250, 200, 10]];
+    const fixed = quantizer.quantizeImage(noise, { colorSpace: 'lab', paletteConstraint: { mode: 'fixed', colors: brand } });
+    assert.deepStrictEqual(fixed.palette, brand);
+    assert.strictEqual(fixed.paletteMode, 'fixed');
+    assert.strictEqual(fixed.seed, null);
+    
+    const lockable = Object.keys(quantizer.Algorithms).filter(id => quantizer.Algorithms[id].lockable);
+    for (const algorithm of lockable) {
+        const locked = quantizer.quantizeImage(noise, { k: 5, algorithm, colorSpace: 'oklab', seed: 1, paletteConstraint: { mode: 'lock', colors: brand } });
+        assert.strictEqual(locked.palette.length, 5, algorithm);
+        assert.deepStrictEqual(locked.palette.slice(0, 2), brand, algorithm);
+        assert.strictEqual(locked.fixedCount, 2);
+    }
+    // Locked colors count toward K
+    assert.strictEqual(quantizer.quantizeImage(noise, { k: 1, seed: 1, paletteConstraint: { mode: 'lock', colors: brand } }).palette.length, 2);
+    assert.throws(() => quantizer.quantizeImage(noise, { k: 5, algorithm: 'octree', paletteConstraint: { mode: 'lock', colors: brand } }), /cannot lock colors/);
+});
+
+test('splitting a cluster moves the pixels of one half to a new cluster', () => {
+    // One cluster over red and blue stripes, and a green cluster
+    const image = makeImage(6, 6, (x) => [[255, 0, 0, 255], [0, 0, 255, 255], [0, 255, 0, 255]][x % 3]);
+    const labels = Int32Array.from({ length: 36 }, (_, i) => (i % 3 === 2 ? 1 : 0));
+    const job = { cluster: 0, analysis: image, output: image, labels, outputLabels: labels, colorSpace: 'lab', quantizeAlpha: false };
+    const split = quantizer.WorkerTasks.split(job, () => {});
+    
+    // The moving half is the second color: red or blue, stripe 0 or 1
+    assert.deepStrictEqual(split.colors.map(color => color.map(Math.round)).sort(), [[0, 0, 255], [255, 0, 0]]);
+    const stripe = split.colors[1][0] > split.colors[1][2] ? 0 : 1;
+    const moved = Array.from({ length: 36 }, (_, i) => i).filter(i => i % 3 === stripe);
+    assert.deepStrictEqual(Array.from(split.movedLabels), moved);
+    assert.deepStrictEqual(Array.from(split.movedOutputLabels), moved);
+    assert.strictEqual(split.movedDitheredLabels, null);
+    
+    assert.throws(() => quantizer.WorkerTasks.split({ ...job, cluster: 1 }, () => {}), /Cluster 2 has a single color/);
+});
+
+test('a K sweep tile replays at full size with the same palette', () => {
+    const analysis = quantizer.resizeImage(noise, 24);
+    for (const algorithm of Object.keys(quantizer.Algorithms)) {
+        // A sweep fits and maps the analysis image alone; opening a tile
+        // replays that fit from its seed and maps the full image
+        const tile = quantizer.runQuantizationJob({ k: 5, analysis, output: analysis, algorithm }, () => {});
+        const full = quantizer.runQuantizationJob({ k: 5, analysis, output: noise, algorithm, seed: tile.seed }, () => {});
+        assert.deepStrictEqual(full.palette, tile.palette, algorithm);
+        assert.deepStrictEqual(full.labels, tile.outputLabels, algorithm);
+        assert.strictEqual(full.outputLabels.length, 48 * 48);
+    }
+});
@@ -0,0 +1,51 @@
+// Tests of the quantization algorithms behind the common interface
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, makeImage, gradient, noise, stripes } = require('./helpers.js');
+
+test('quantizeImage returns K colors with every algorithm', () => {
+    for (const algorithm of Object.keys(quantizer.Algorithms)) {
+        for (const [name, image] of [['gradient', gradient], ['noise', noise]]) {
+            for (const k of [2, 3, 5, 8, 16]) {
+                const result = quantizer.quantizeImage(image, { k, algorithm, seed: 1 });
+                assert.strictEqual(result.palette.length, k, `${algorithm} on the ${name} image with K=${k}`);
+                assert.ok(result.outputLabels.every(label => label >= 0 && label < k));
+            }
+        }
+    }
+});
+
+test('quantizeImage cannot give more colors than the image has', () => {
+    const pixel = makeImage(1, 1, () => [9, 99, 199, 255]);
+    for (const algorithm of Object.keys(quantizer.Algorithms)) {
+        const result = quantizer.quantizeImage(stripes, { k: 8, algorithm, nInit: 2 });
+        assert.strictEqual(result.palette.length, 3, algorithm);
+        assert.ok(Array.from(result.counts).every(count => count > 0), algorithm);
+        assert.deepStrictEqual(quantizer.quantizeImage(pixel, { k: 4, algorithm }).palette, [[9, 99, 199]], algorithm);
+    }
+});
+
+test('every quantizer fits, labels and predicts through the same interface', () => {
+    const data = Uint8ClampedArray.from(noise.pixels);
+    for (const Quantizer of [quantizer.MedianCutQuantizer, quantizer.OctreeQuantizer, quantizer.WuQuantizer]) {
+        const model = new Quantizer(6);
+        const result = model.fit(data, 3);
+        assert.strictEqual(result.centroids.length, 6, Quantizer.name);
+        assert.strictEqual(result.labels.length, data.length / 3);
+        assert.strictEqual(Array.from(result.counts).reduce((sum, count) => sum + count, 0), data.length / 3);
+        assert.deepStrictEqual(model.predict(data), result.labels, Quantizer.name);
+        assert.ok(result.inertia > 0);
+    }
+});
+
+test("Wu's quantizer only takes 3-dimensional data", () => {
+    assert.throws(() => new quantizer.WuQuantizer(2).fit(new Float32Array(16), 4), /3-dimensional/);
+});
+
+test('a fixed palette quantizer maps every point to the nearest given color', () => {
+    const model = new quantizer.FixedPaletteQuantizer([[0, 0, 0], [255, 255, 255]]);
+    const result = model.fit(Uint8ClampedArray.of(10, 10, 10, 240, 250, 200, 100, 100, 100), 3);
+    assert.deepStrictEqual(Array.from(result.labels), [0, 1, 0]);
+    assert.deepStrictEqual(result.centroids, [[0, 0, 0], [255, 255, 255]]);
+});
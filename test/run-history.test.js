@@ -0,0 +1,42 @@
+// Tests of the run history's storage format, loaded on their own
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers.js');
+
+// The script's typed arrays come from its own context, so results are
+// compared by their values
+const { packResult, unpackResult, RunHistory } = loadScript('run-history.js', ['packResult', 'unpackResult', 'RunHistory']);
+
+test('stored results pack labels into a byte each and unpack them again', () => {
+    const labels = Int32Array.of(0, 3, -1, 2, 1, -1);
+    const result = { palette: [[0, 0, 0], [1, 1, 1], [2, 2, 2], [3, 3, 3]], labels, outputLabels: labels, segmentLabels: null, ditheredLabels: labels, quality: { mse: 1 }, seed: 7 };
+    const stored = packResult(result);
+    assert.strictEqual(stored.labels.constructor.name, 'Uint8Array');
+    assert.deepStrictEqual(Array.from(stored.outputLabels), [0, 3, 255, 2, 1, 255]);
+    // Recomputed when the run is restored
+    assert.strictEqual(stored.ditheredLabels, null);
+    assert.strictEqual(stored.quality, null);
+    
+    const restored = unpackResult(stored);
+    assert.strictEqual(restored.labels.constructor.name, 'Int32Array');
+    assert.deepStrictEqual(Array.from(restored.labels), Array.from(labels));
+    assert.deepStrictEqual(Array.from(restored.outputLabels), Array.from(labels));
+    assert.strictEqual(restored.segmentLabels, null);
+    assert.strictEqual(restored.seed, 7);
+});
+
+test('labels of 255 clusters or more are stored as they are', () => {
+    const labels = Int32Array.of(0, 254, -1);
+    const palette = Array.from({ length: 255 }, () => [0, 0, 0]);
+    const stored = packResult({ palette, labels, outputLabels: labels, segmentLabels: labels, segmentCount: 300 });
+    assert.strictEqual(stored.labels, labels);
+    assert.strictEqual(stored.segmentLabels, labels);
+    assert.strictEqual(unpackResult(stored).labels, labels);
+});
+
+test('the history reports a browser without IndexedDB, and can try again', async () => {
+    const history = new RunHistory();
+    await assert.rejects(history.list(), /does not provide IndexedDB/);
+    assert.strictEqual(history.database, null);
+});
@@ -0,0 +1,31 @@
+// Tests of the page's DOM-free pieces, loaded on their own
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, loadScript } = require('./helpers.js');
+
+// The page script only touches the DOM once it has loaded
+const { VizSpaces } = loadScript('script.js', ['VizSpaces'], { document: { addEventListener() {} } });
+
+test('every 3D view space plots the whole sRGB gamut inside its 2-unit box', () => {
+    // A 9×9×9 grid of sRGB colors, corners included
+    const levels = [0, 32, 64, 96, 128, 160, 192, 224, 255];
+    const grid = Uint8ClampedArray.from(levels.flatMap(r => levels.flatMap(g => levels.flatMap(b => [r, g, b]))));
+    for (const [name, viz] of Object.entries(VizSpaces)) {
+        assert.ok(quantizer.ColorSpaces[viz.space], name);
+        const coordinates = quantizer.convertPixels(grid, viz.space);
+        for (let i = 0; i < grid.length / 3; i++) {
+            const position = viz.toScene(Array.from(coordinates.subarray(i * 3, i * 3 + 3)));
+            assert.ok(position.every(value => value >= -0.01 && value <= 2.01), `${name}: ${grid.subarray(i * 3, i * 3 + 3)} at ${position}`);
+        }
+    }
+});
+
+test('the 3D view puts lightness or value on the vertical axis', () => {
+    const blackAndWhite = Uint8ClampedArray.of(0, 0, 0, 255, 255, 255);
+    for (const [name, viz] of Object.entries(VizSpaces)) {
+        const coordinates = quantizer.convertPixels(blackAndWhite, viz.space);
+        const [bottom, top] = [0, 1].map(i => viz.toScene(Array.from(coordinates.subarray(i * 3, i * 3 + 3))));
+        assert.ok(Math.abs(bottom[1]) < 0.01 && Math.abs(top[1] - 2) < 0.01, name);
+    }
+});
@@ -0,0 +1,50 @@
+// Tests of the spatial segmentation helpers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer, makeImage } = require('./helpers.js');
+
+test('connectedSegments splits a cluster into its separate areas', () => {
+    // Cluster 1 is a wall between two areas of cluster 0; one pixel is transparent
+    const labels = Int32Array.of(
+        0, 0, 1, 0, 0,
+        0, 0, 1, 0, 0,
+        1, 1, 1, -1, 0
+    );
+    const segments = quantizer.connectedSegments(labels, 5, 3);
+    assert.strictEqual(segments.count, 3);
+    assert.deepStrictEqual(segments.clusters, [0, 1, 0]);
+    assert.deepStrictEqual(Array.from(segments.labels), [
+        0, 0, 1, 2, 2,
+        0, 0, 1, 2, 2,
+        1, 1, 1, -1, 2
+    ]);
+    assert.deepStrictEqual(Array.from(quantizer.segmentBoundaries(segments.labels, 5, 3)), [
+        0, 1, 1, 0, 0,
+        1, 1, 1, 1, 0,
+        0, 0, 1, 1, 0
+    ]);
+});
+
+test('connectedSegments merges segments below the minimum size into a neighbour', () => {
+    const labels = Int32Array.of(
+        0, 0, 0,
+        0, 2, 0,
+        0, 0, 0
+    );
+    const segments = quantizer.connectedSegments(labels, 3, 3, 2);
+    assert.strictEqual(segments.count, 1);
+    assert.ok(segments.labels.every(segment => segment === 0));
+    assert.ok(labels.every(label => label === 0));
+});
+
+test('segmentation jobs return connected segments of the output', () => {
+    // The same color on both sides of a black band
+    const image = makeImage(30, 10, (x) => (x >= 10 && x < 20 ? [0, 0, 0, 255] : [250, 250, 250, 255]));
+    const result = quantizer.runQuantizationJob({ k: 2, analysis: image, output: image, seed: 1, segmentation: { weight: 0 } }, () => {});
+    assert.strictEqual(result.palette.length, 2);
+    assert.strictEqual(result.segmentCount, 3);
+    assert.strictEqual(result.segmentLabels[0], result.segmentLabels[9]);
+    assert.notStrictEqual(result.segmentLabels[0], result.segmentLabels[29]);
+    assert.strictEqual(result.spatialWeight, 0);
+});
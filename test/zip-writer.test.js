@@ -0,0 +1,58 @@
+// Tests of the ZIP writer
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { quantizer } = require('./helpers.js');
+
+// Entries of an archive, read from its central directory and checked against
+// their local headers: [{ name, data, crc, time, date }]
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.length);
+    const end = zip.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    assert.strictEqual(offset + view.getUint32(end + 12, true), end);
+    
+    const entries = [];
+    for (let e = 0; e < count; e++) {
+        assert.strictEqual(view.getUint32(offset, true), 0x02014b50);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const local = view.getUint32(offset + 42, true);
+        const name = Buffer.from(zip.subarray(offset + 46, offset + 46 + nameLength)).toString();
+        // The local header repeats the central one from "version needed" on
+        assert.strictEqual(view.getUint32(local, true), 0x04034b50);
+        assert.deepStrictEqual(zip.subarray(local + 4, local + 30), zip.subarray(offset + 6, offset + 32));
+        const start = local + 30 + nameLength;
+        entries.push({
+            name,
+            data: zip.subarray(start, start + size),
+            crc: view.getUint32(offset + 16, true),
+            time: view.getUint16(offset + 12, true),
+            date: view.getUint16(offset + 14, true)
+        });
+        offset += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('encodeZip stores every file under its UTF-8 name', () => {
+    const png = Uint8Array.of(137, 80, 78, 71, 0, 255);
+    const zip = quantizer.encodeZip([
+        { name: 'hello.txt', data: 'hello' },
+        { name: 'café/palette.png', data: png },
+        { name: 'empty.css', data: '' }
+    ], new Date(2024, 2, 15, 13, 45, 30));
+    const entries = readZip(zip);
+    
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['hello.txt', 'café/palette.png', 'empty.css']);
+    assert.strictEqual(Buffer.from(entries[0].data).toString(), 'hello');
+    assert.strictEqual(entries[0].crc, 0x3610a686);
+    assert.deepStrictEqual(entries[1].data, png);
+    assert.strictEqual(entries[2].data.length, 0);
+    assert.strictEqual(entries[2].crc, 0);
+    // 13:45:30 and 2024-03-15 in MS-DOS fields
+    assert.strictEqual(entries[0].time, (13 << 11) | (45 << 5) | 15);
+    assert.strictEqual(entries[0].date, (44 << 9) | (3 << 5) | 15);
+});
@@ -0,0 +1,71 @@
+// ZIP archives
+// Shared by the main page and the Node library (quantize-node.js); uses
+// crc32 from image-encoders.js
+//
+// Entries are stored uncompressed: the archive holds PNGs that are already
+// deflated and palette files of a few hundred bytes, so a second pass of
+// compression would gain next to nothing.
+
+// MS-DOS time and date fields of a local time, as ZIP headers store them
+function dosDateTime(when) {
+    return {
+        time: (when.getHours() << 11) | (when.getMinutes() << 5) | (when.getSeconds() >> 1),
+        date: ((Math.max(1980, when.getFullYear()) - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate()
+    };
+}
+
+// Build an archive from [{ name, data }], data being a Uint8Array or a string
+// (stored as UTF-8). Every entry gets the modified time. Returns the bytes.
+function encodeZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const entries = files.map(({ name, data }) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        return { name: encoder.encode(name), bytes, crc: crc32(bytes), offset: 0 };
+    });
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.bytes.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const zip = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(zip.buffer);
+    
+    // The fields local and central headers share, from "version needed" to
+    // the name length
+    const writeCommon = (offset, entry) => {
+        view.setUint16(offset, 20, true); // Version 2.0
+        view.setUint16(offset + 2, 0x0800, true); // Names are UTF-8
+        view.setUint16(offset + 4, 0, true); // Stored
+        view.setUint16(offset + 6, time, true);
+        view.setUint16(offset + 8, date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.bytes.length, true);
+        view.setUint32(offset + 18, entry.bytes.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+    };
+
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        writeCommon(offset + 4, entry);
+        zip.set(entry.name, offset + 30);
+        zip.set(entry.bytes, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.bytes.length;
+    });
+    
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true); // Made by version 2.0
+        writeCommon(offset + 6, entry);
+        view.setUint32(offset + 42, entry.offset, true);
+        zip.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+    
+    // End of central directory
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, localSize, true);
+    return zip;
+}